@@ -0,0 +1,229 @@
+import dbConnect from '../lib/mongodb.js';
+import ApiKey from '../models/ApiKey.js';
+import { authenticateToken, generateApiKey, hashApiKey } from '../lib/auth.js';
+import { API_KEY_SCOPES } from '../lib/permissions.js';
+import { checkRateLimit } from '../lib/rateLimit.js';
+
+// Maximum active keys per user
+const MAX_ACTIVE_KEYS = 10;
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'default');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    // Authenticate; keys are managed with a user session, never with another key
+    try {
+        await new Promise((resolve, reject) => {
+            authenticateToken(req, res, (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    } catch (authError) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required to manage API keys'
+        });
+    }
+
+    if (req.user.apiKeyId) {
+        return res.status(403).json({
+            success: false,
+            message: 'API keys cannot be managed with an API key'
+        });
+    }
+
+    switch (method) {
+        case 'GET':
+            return await handleListKeys(req, res);
+
+        case 'POST':
+            return await handleCreateKey(req, res);
+
+        case 'PUT':
+            return await handleUpdateKey(req, res);
+
+        case 'DELETE':
+            return await handleRevokeKey(req, res);
+
+        default:
+            res.setHeader('Allow', ['GET', 'POST', 'PUT', 'DELETE']);
+            return res.status(405).json({
+                success: false,
+                message: `Method ${method} not allowed`
+            });
+    }
+}
+
+// List the user's API keys
+async function handleListKeys(req, res) {
+    try {
+        const query = { uid: req.user.uid };
+        if (req.query.includeRevoked !== 'true') {
+            query.revokedAt = null;
+        }
+
+        const keys = await ApiKey.find(query).sort({ createdAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            data: keys.map(key => key.toApiKeyResponse())
+        });
+    } catch (error) {
+        console.error('List API keys error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to fetch API keys',
+            error: error.message
+        });
+    }
+}
+
+// Create a key; the raw key is only returned in this response
+async function handleCreateKey(req, res) {
+    try {
+        const { label = '', scopes = [] } = req.body;
+
+        const invalidScopes = Array.isArray(scopes)
+            ? scopes.filter(scope => !API_KEY_SCOPES.includes(scope))
+            : [scopes];
+        if (invalidScopes.length > 0 || scopes.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`
+            });
+        }
+
+        const activeKeys = await ApiKey.countDocuments({ uid: req.user.uid, revokedAt: null });
+        if (activeKeys >= MAX_ACTIVE_KEYS) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${MAX_ACTIVE_KEYS} active API keys`
+            });
+        }
+
+        const apiKey = generateApiKey();
+        const key = await ApiKey.create({
+            uid: req.user.uid,
+            label,
+            prefix: apiKey.substring(0, 10),
+            keyHash: hashApiKey(apiKey),
+            scopes: [...new Set(scopes)]
+        });
+
+        return res.status(201).json({
+            success: true,
+            data: {
+                ...key.toApiKeyResponse(),
+                key: apiKey
+            },
+            message: 'API key created. Store it now; it will not be shown again.'
+        });
+    } catch (error) {
+        console.error('Create API key error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to create API key',
+            error: error.message
+        });
+    }
+}
+
+// Relabel a key
+async function handleUpdateKey(req, res) {
+    try {
+        const { id, label } = req.body;
+
+        if (!id || typeof label !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: id, label'
+            });
+        }
+
+        const key = await ApiKey.findOneAndUpdate(
+            { _id: id, uid: req.user.uid, revokedAt: null },
+            { $set: { label } },
+            { new: true, runValidators: true }
+        );
+
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: key.toApiKeyResponse()
+        });
+    } catch (error) {
+        console.error('Update API key error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update API key',
+            error: error.message
+        });
+    }
+}
+
+// Revoke a key
+async function handleRevokeKey(req, res) {
+    try {
+        const { id } = req.body;
+
+        if (!id) {
+            return res.status(400).json({
+                success: false,
+                message: 'API key ID is required'
+            });
+        }
+
+        const key = await ApiKey.findOneAndUpdate(
+            { _id: id, uid: req.user.uid, revokedAt: null },
+            { $set: { revokedAt: new Date() } },
+            { new: true }
+        );
+
+        if (!key) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: key.toApiKeyResponse(),
+            message: 'API key revoked successfully'
+        });
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to revoke API key',
+            error: error.message
+        });
+    }
+}
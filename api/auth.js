@@ -1,6 +1,20 @@
 import dbConnect from '../lib/mongodb.js';
 import User from '../models/User.js';
-import { generateToken, validatePiAuth, generateGuestId, authRateLimiter } from '../lib/auth.js';
+import {
+    authenticateToken,
+    validatePiAuth,
+    verifyPiAuth,
+    verifyToken,
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeTokenFamily,
+    revokeUserSessions,
+    findActiveRefreshToken,
+    generateGuestId
+} from '../lib/auth.js';
+import { upgradeGuestAccount } from '../lib/accountUpgrade.js';
+import { checkRateLimit } from '../lib/rateLimit.js';
 
 export default async function handler(req, res) {
     // Enable CORS
@@ -17,9 +31,11 @@ export default async function handler(req, res) {
 
     const { method } = req;
 
-    // Apply rate limiting to auth endpoints
-    const clientIP = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-    if (!authRateLimiter.check(clientIP)) {
+    // Apply rate limiting to auth endpoints (refresh/logout have their own budget;
+    // upgrade verifies with Pi and merges data, so it counts as a login)
+    const sessionAction = ['refresh', 'logout'].includes(req.query.action);
+    const rateLimit = await checkRateLimit(req, res, sessionAction ? 'authSession' : 'auth');
+    if (!rateLimit.allowed) {
         return res.status(429).json({
             success: false,
             message: 'Too many authentication attempts. Please try again later.'
@@ -28,47 +44,88 @@ export default async function handler(req, res) {
 
     switch (method) {
         case 'POST':
+            if (req.query.action === 'refresh') {
+                return await handleRefresh(req, res);
+            }
+            if (req.query.action === 'logout') {
+                return await handleLogout(req, res);
+            }
+            if (req.query.action === 'upgrade') {
+                return await handleUpgrade(req, res);
+            }
+
             try {
                 const { username, uid, walletAddress, loginType } = req.body;
-                
+
+                if (!['pi', 'guest'].includes(loginType)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: "loginType must be 'pi' or 'guest'"
+                    });
+                }
+
+                if (loginType === 'guest') {
+                    return await handleGuestLogin(req, res);
+                }
+
                 // Validate input
-                if (!username || !uid || !loginType) {
+                if (!username || !uid) {
                     return res.status(400).json({
                         success: false,
-                        message: 'Missing required fields: username, uid, loginType'
+                        message: 'Missing required fields: username, uid'
                     });
                 }
 
                 // Validate Pi Network auth data
-                if (loginType === 'pi' && !validatePiAuth(req.body)) {
+                if (!validatePiAuth(req.body)) {
                     return res.status(400).json({
                         success: false,
                         message: 'Invalid Pi Network authentication data'
                     });
                 }
 
+                // Verify the access token with Pi so nobody can log in as another Pi user
+                const piUser = await verifyPiAuth(req.body);
+
                 // Find or create user
                 let user = await User.findOne({ uid });
+
+                // Upgraded guest accounts can no longer log in
+                if (user && user.retiredAt) {
+                    return res.status(410).json({
+                        success: false,
+                        message: 'This guest account was upgraded to a Pi account. Please log in with Pi.',
+                        code: 'ACCOUNT_RETIRED'
+                    });
+                }
+
+                // Guests once chose their own uids, so a guest may hold a Pi user's uid.
+                // The verified Pi user reclaims it and the guest's sessions end.
+                if (user && user.loginType !== 'pi') {
+                    await revokeUserSessions(user.uid);
+                    user.loginType = 'pi';
+                    user.username = piUser.username;
+                }
                 
                 if (!user) {
                     user = await User.create({
-                        username,
+                        username: piUser.username,
                         uid,
-                        walletAddress: loginType === 'pi' ? walletAddress : null,
-                        loginType,
+                        walletAddress,
+                        loginType: 'pi',
                         lastLogin: new Date()
                     });
                 } else {
                     // Update last login and wallet address if changed
                     user.lastLogin = new Date();
-                    if (loginType === 'pi' && walletAddress) {
+                    if (walletAddress) {
                         user.walletAddress = walletAddress;
                     }
                     await user.save();
                 }
 
-                // Generate JWT token
-                const token = generateToken(user);
+                // Issue a short-lived access token and a refresh token for this session
+                const tokens = await issueTokens(user, getRequestMeta(req));
 
                 return res.status(200).json({ 
                     success: true, 
@@ -77,15 +134,22 @@ export default async function handler(req, res) {
                             username: user.username,
                             uid: user.uid,
                             walletAddress: user.walletAddress,
-                            loginType: user.loginType
+                            loginType: user.loginType,
+                            role: user.role
                         },
-                        token,
-                        expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+                        ...tokens
                     }
                 });
 
             } catch (error) {
                 console.error('Auth error:', error);
+                if (error.status) {
+                    return res.status(error.status).json({
+                        success: false,
+                        message: error.message,
+                        code: error.code
+                    });
+                }
                 return res.status(500).json({ 
                     success: false, 
                     message: 'Authentication failed',
@@ -132,3 +196,216 @@ export default async function handler(req, res) {
             });
     }
 }
+
+// Start a new guest account. The server assigns the uid; guests come back
+// with their refresh token, never by naming a uid.
+async function handleGuestLogin(req, res) {
+    if (req.body.uid) {
+        return res.status(400).json({
+            success: false,
+            message: 'Guest IDs are assigned by the server. Resume a guest session with its refresh token.',
+            code: 'GUEST_UID_NOT_ACCEPTED'
+        });
+    }
+
+    const user = await User.create({
+        username: req.body.username || 'Guest',
+        uid: generateGuestId(),
+        walletAddress: null,
+        loginType: 'guest',
+        lastLogin: new Date()
+    });
+
+    const tokens = await issueTokens(user, getRequestMeta(req));
+
+    return res.status(201).json({
+        success: true,
+        data: {
+            user: {
+                username: user.username,
+                uid: user.uid,
+                walletAddress: user.walletAddress,
+                loginType: user.loginType,
+                role: user.role
+            },
+            ...tokens
+        }
+    });
+}
+
+// Exchange a refresh token for a new access and refresh token pair
+async function handleRefresh(req, res) {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token required'
+            });
+        }
+
+        const { user, ...tokens } = await rotateRefreshToken(refreshToken, getRequestMeta(req));
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                user: {
+                    username: user.username,
+                    uid: user.uid,
+                    walletAddress: user.walletAddress,
+                    loginType: user.loginType,
+                    role: user.role
+                },
+                ...tokens
+            }
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to refresh token',
+            error: error.message
+        });
+    }
+}
+
+// Revoke the session of a refresh token (or of the presented access token)
+async function handleLogout(req, res) {
+    try {
+        const { refreshToken } = req.body || {};
+
+        if (refreshToken) {
+            await revokeRefreshToken(refreshToken);
+        } else {
+            const authHeader = req.headers['authorization'];
+            const token = authHeader && authHeader.split(' ')[1];
+            let decoded = null;
+            try {
+                decoded = token ? verifyToken(token) : null;
+            } catch (error) {
+                // Expired access tokens can't be used to log out
+            }
+
+            if (!decoded || !decoded.sid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Refresh token or valid access token required'
+                });
+            }
+            await revokeTokenFamily(decoded.sid, 'logout');
+        }
+
+        return res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to log out',
+            error: error.message
+        });
+    }
+}
+
+// Upgrade the authenticated guest to a verified Pi account, moving their data
+async function handleUpgrade(req, res) {
+    try {
+        await new Promise((resolve, reject) => {
+            authenticateToken(req, res, (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    } catch (authError) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required to upgrade account'
+        });
+    }
+
+    try {
+        if (req.user.loginType !== 'guest' || req.user.apiKeyId) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only a logged-in guest can upgrade their account'
+            });
+        }
+
+        // Prove the caller holds this guest session, not just a token naming the guest
+        const guestSession = await findActiveRefreshToken(req.body.refreshToken);
+        if (!guestSession || guestSession.uid !== req.user.uid || guestSession.family !== req.user.sid) {
+            return res.status(401).json({
+                success: false,
+                message: "The guest session's current refresh token is required to upgrade",
+                code: 'GUEST_SESSION_REQUIRED'
+            });
+        }
+
+        if (!validatePiAuth(req.body)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid Pi Network authentication data'
+            });
+        }
+
+        const piUser = await verifyPiAuth(req.body);
+        const meta = getRequestMeta(req);
+        const { user, merge } = await upgradeGuestAccount(req.user.uid, piUser, {
+            walletAddress: req.body.walletAddress,
+            ...meta
+        });
+
+        const tokens = await issueTokens(user, meta);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                user: {
+                    username: user.username,
+                    uid: user.uid,
+                    walletAddress: user.walletAddress,
+                    loginType: user.loginType,
+                    role: user.role
+                },
+                merged: {
+                    fromUid: merge.fromUid,
+                    moved: merge.moved
+                },
+                ...tokens
+            },
+            message: 'Guest account upgraded to Pi account'
+        });
+    } catch (error) {
+        console.error('Account upgrade error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to upgrade account',
+            error: error.message
+        });
+    }
+}
+
+// Request metadata stored with refresh tokens
+function getRequestMeta(req) {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    return {
+        ipAddress: forwardedFor ? forwardedFor.split(',')[0].trim() : req.connection?.remoteAddress,
+        userAgent: req.headers['user-agent']
+    };
+}
@@ -0,0 +1,82 @@
+import dbConnect from '../../lib/mongodb.js';
+import Product from '../../models/Product.js';
+import User from '../../models/User.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+import { issueProvenanceCredential } from '../../lib/credentials.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'public');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    if (method !== 'GET') {
+        res.setHeader('Allow', ['GET']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${method} not allowed`
+        });
+    }
+
+    // Issue a product's current provenance as a signed Verifiable Credential.
+    // Provenance is already public through verification, so issuing needs no login.
+    try {
+        const { hash, productId } = req.query;
+
+        if (!hash && !productId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Product hash or ID is required'
+            });
+        }
+
+        const product = hash
+            ? await Product.findOne({ hash })
+            : await Product.findById(productId);
+        if (!product || !product.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const owner = await User.findOne({ uid: product.owner }).select('username');
+        const credential = issueProvenanceCredential(product, owner);
+
+        res.setHeader('Content-Type', 'application/vc+ld+json');
+        res.setHeader('Content-Disposition', `inline; filename="${product.hash}.vc.json"`);
+        return res.status(200).send(JSON.stringify(credential));
+    } catch (error) {
+        console.error('Issue credential error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to issue credential',
+            error: error.message
+        });
+    }
+}
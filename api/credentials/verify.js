@@ -0,0 +1,96 @@
+import dbConnect from '../../lib/mongodb.js';
+import Product from '../../models/Product.js';
+import User from '../../models/User.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+import {
+    CREDENTIAL_TYPE,
+    verifyCredentialSignature,
+    buildProvenanceSubject,
+    diffProvenanceSubject
+} from '../../lib/credentials.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'public');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    if (method !== 'POST') {
+        res.setHeader('Allow', ['POST']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${method} not allowed`
+        });
+    }
+
+    // Check a provenance credential: is the signature ours and valid,
+    // and does it still match the product's current data?
+    try {
+        // Accept the credential itself or { credential }
+        const credential = req.body?.credential || req.body;
+
+        if (!credential || typeof credential !== 'object' ||
+            !Array.isArray(credential.type) || !credential.type.includes(CREDENTIAL_TYPE)) {
+            return res.status(400).json({
+                success: false,
+                message: `Body must be a ${CREDENTIAL_TYPE}`
+            });
+        }
+
+        const signature = verifyCredentialSignature(credential);
+        const subject = credential.credentialSubject;
+
+        const product = subject?.hash ? await Product.findOne({ hash: subject.hash }) : null;
+        let changedFields = null;
+        if (product) {
+            const owner = await User.findOne({ uid: product.owner }).select('username');
+            changedFields = diffProvenanceSubject(subject, buildProvenanceSubject(product, owner));
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                signatureValid: signature.valid,
+                signatureError: signature.reason,
+                issuer: credential.issuer || null,
+                issuedAt: credential.validFrom || null,
+                productFound: Boolean(product),
+                productActive: product ? product.isActive : null,
+                matchesCurrentData: Boolean(product) && changedFields.length === 0,
+                changedFields
+            }
+        });
+    } catch (error) {
+        console.error('Verify credential error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to verify credential',
+            error: error.message
+        });
+    }
+}
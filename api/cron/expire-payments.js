@@ -0,0 +1,43 @@
+import dbConnect from '../../lib/mongodb.js';
+import { verifyCronRequest } from '../../lib/auth.js';
+import { sweepExpiredPayments } from '../../lib/paymentSweeper.js';
+
+export default async function handler(req, res) {
+    const { method } = req;
+
+    if (method !== 'GET' && method !== 'POST') {
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${method} not allowed`
+        });
+    }
+
+    if (!verifyCronRequest(req)) {
+        return res.status(401).json({
+            success: false,
+            message: 'Unauthorized'
+        });
+    }
+
+    await dbConnect();
+
+    try {
+        const report = await sweepExpiredPayments({
+            batchSize: parseInt(req.query.batchSize) || undefined,
+            maxBatches: parseInt(req.query.maxBatches) || undefined
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        console.error('Expire payments job error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to expire payments',
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,41 @@
+import dbConnect from '../../lib/mongodb.js';
+import { verifyCronRequest } from '../../lib/auth.js';
+import { retryDueWebhooks } from '../../lib/webhooks.js';
+
+export default async function handler(req, res) {
+    const { method } = req;
+
+    if (method !== 'GET' && method !== 'POST') {
+        res.setHeader('Allow', ['GET', 'POST']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${method} not allowed`
+        });
+    }
+
+    if (!verifyCronRequest(req)) {
+        return res.status(401).json({
+            success: false,
+            message: 'Unauthorized'
+        });
+    }
+
+    await dbConnect();
+
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const result = await retryDueWebhooks(limit);
+
+        return res.status(200).json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Webhook retry job error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to retry webhooks',
+            error: error.message
+        });
+    }
+}
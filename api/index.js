@@ -4,8 +4,26 @@ export default function handler(req, res) {
     endpoints: {
       auth: '/api/auth',
       products: '/api/products',
+      supplyChain: '/api/products/supply-chain',
+      verifyChain: '/api/products/verify-chain',
+      qrCode: '/api/products/qrcode',
+      verify: '/api/products/verify',
+      transfer: '/api/products/transfer',
+      participants: '/api/products/participants',
+      nearby: '/api/products/nearby',
+      route: '/api/products/route',
+      lineage: '/api/products/lineage',
+      genealogy: '/api/products/genealogy',
+      import: '/api/products/import',
+      epcis: '/api/products/epcis',
+      issueCredential: '/api/credentials/issue',
+      verifyCredential: '/api/credentials/verify',
+      didDocument: '/.well-known/did.json',
       payments: '/api/payments',
-      users: '/api/users'
+      refunds: '/api/payments/refund',
+      users: '/api/users',
+      webhookSecret: '/api/users?action=webhook-secret',
+      apiKeys: '/api/api-keys'
     },
     status: 'OK'
   });
@@ -1,13 +1,20 @@
 import dbConnect from '../lib/mongodb.js';
-import Payment from '../models/Payment.js';
+import Payment, { PAYMENT_SORTS } from '../models/Payment.js';
 import Product from '../models/Product.js';
-import { authenticateToken, apiRateLimiter } from '../lib/auth.js';
+import User from '../models/User.js';
+import { authenticateToken, optionalAuth } from '../lib/auth.js';
+import { can } from '../lib/permissions.js';
+import { checkRateLimit } from '../lib/rateLimit.js';
+import { piPlatform, toPiNetworkData, findPaymentMismatch } from '../lib/piNetwork.js';
+import { dispatchPaymentWebhook, validateWebhookUrl } from '../lib/webhooks.js';
+import { withIdempotency } from '../lib/idempotency.js';
+import { parseLimit, encodeCursor, decodeCursor } from '../lib/pagination.js';
 
 export default async function handler(req, res) {
     // Enable CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
     
     // Handle preflight request
     if (req.method === 'OPTIONS') {
@@ -19,8 +26,8 @@ export default async function handler(req, res) {
     const { method } = req;
 
     // Apply rate limiting
-    const clientIP = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-    if (!apiRateLimiter.check(clientIP)) {
+    const rateLimit = await checkRateLimit(req, res, 'payments');
+    if (!rateLimit.allowed) {
         return res.status(429).json({
             success: false,
             message: 'Too many requests. Please try again later.'
@@ -57,65 +64,15 @@ async function handleCreatePayment(req, res) {
             });
         });
 
-        const { amount, memo, metadata, productId, serviceType } = req.body;
-        
-        // Validate required fields
-        if (!amount || amount <= 0) {
-            return res.status(400).json({
+        if (!can(req.user, 'payments:create')) {
+            return res.status(403).json({
                 success: false,
-                message: 'Valid amount is required'
+                message: 'Access denied. You are not allowed to create payments.'
             });
         }
 
-        let product = null;
-        if (productId) {
-            product = await Product.findById(productId);
-            if (!product) {
-                return res.status(404).json({
-                    success: false,
-                    message: 'Product not found'
-                });
-            }
-        }
-
-        // Create payment data
-        const paymentData = {
-            user: {
-                uid: req.user.uid,
-                username: req.user.username,
-                walletAddress: req.user.walletAddress
-            },
-            amount,
-            memo: memo || 'PI TRACE Payment',
-            metadata: metadata || {},
-            status: 'pending'
-        };
-
-        // Add product or service information
-        if (product) {
-            paymentData.product = {
-                productId: product._id,
-                productName: product.name,
-                productHash: product.hash,
-                quantity: 1
-            };
-        } else if (serviceType) {
-            paymentData.service = {
-                type: serviceType,
-                description: getServiceDescription(serviceType),
-                duration: '30 days',
-                features: getServiceFeatures(serviceType)
-            };
-        }
-
-        // Create payment in database
-        const payment = await Payment.create(paymentData);
-
-        return res.status(201).json({ 
-            success: true, 
-            data: payment.toPaymentResponse(),
-            message: 'Payment created successfully. Please approve in your Pi Wallet.'
-        });
+        // Retries carrying the same Idempotency-Key replay the original response
+        return await withIdempotency(req, res, 'payments:create', () => createPayment(req, res));
 
     } catch (error) {
         console.error('Create payment error:', error);
@@ -135,20 +92,152 @@ async function handleCreatePayment(req, res) {
     }
 }
 
+// Validate and create a payment for the authenticated user
+async function createPayment(req, res) {
+    const { amount, memo, metadata, productId, serviceType, webhookUrl } = req.body;
+    
+    // Validate required fields
+    if (!amount || amount <= 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Valid amount is required'
+        });
+    }
+
+    if (webhookUrl) {
+        try {
+            await validateWebhookUrl(webhookUrl);
+        } catch (error) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+
+        // Webhooks are signed with the merchant's own secret, so one must exist first
+        const merchant = await User.findOne({ uid: req.user.uid }).select('+webhookSecret');
+        if (!merchant?.webhookSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Generate a webhook secret (POST /api/users?action=webhook-secret) before setting a webhook URL',
+                code: 'WEBHOOK_SECRET_MISSING'
+            });
+        }
+    }
+
+    let product = null;
+    if (productId) {
+        product = await Product.findById(productId);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+    }
+
+    // Create payment data
+    const paymentData = {
+        user: {
+            uid: req.user.uid,
+            username: req.user.username,
+            walletAddress: req.user.walletAddress
+        },
+        amount,
+        memo: memo || 'PI TRACE Payment',
+        metadata: metadata || {},
+        webhookUrl,
+        status: 'pending'
+    };
+
+    // Add product or service information
+    if (product) {
+        paymentData.product = {
+            productId: product._id,
+            productName: product.name,
+            productHash: product.hash,
+            quantity: 1
+        };
+        paymentData.payee = { uid: product.owner };
+    } else if (serviceType) {
+        paymentData.service = {
+            type: serviceType,
+            description: getServiceDescription(serviceType),
+            duration: '30 days',
+            features: getServiceFeatures(serviceType)
+        };
+    }
+
+    // Create payment in database
+    const payment = await Payment.create(paymentData);
+
+    return res.status(201).json({ 
+        success: true, 
+        data: payment.toPaymentResponse(),
+        message: 'Payment created successfully. Please approve in your Pi Wallet.'
+    });
+}
+
 // Get payments (with optional filtering)
 async function handleGetPayments(req, res) {
     try {
         // Optional authentication - if authenticated, return user's payments
         // If not authenticated, return public payment stats only
-        const { userId, status, limit, page = 1 } = req.query;
+        const { userId, limit, cursor, sort = 'newest' } = req.query;
         
         let payments;
         let total = 0;
+        const pageSize = parseLimit(limit, 10);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        let nextCursor = null;
 
         if (userId) {
-            // Get specific user's payments
-            payments = await Payment.findByUser(userId, { status, limit: parseInt(limit) || 10 });
-            total = await Payment.countDocuments({ 'user.uid': userId });
+            // Payment history is only visible to its owner (or auditors and admins)
+            await new Promise((resolve) => optionalAuth(req, res, resolve));
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required to view payment history'
+                });
+            }
+            if (!can(req.user, 'payments:read', { ownerId: userId })) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. You can only view your own payments.'
+                });
+            }
+
+            if (!PAYMENT_SORTS[sort]) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Sort must be one of: ${Object.keys(PAYMENT_SORTS).join(', ')}`
+                });
+            }
+
+            // Get specific user's payments; a cursor takes precedence over the page number
+            const filters = {
+                status: req.query.status,
+                currency: req.query.currency,
+                productId: req.query.productId,
+                minAmount: req.query.minAmount,
+                maxAmount: req.query.maxAmount,
+                from: req.query.from,
+                to: req.query.to
+            };
+            payments = await Payment.findByUser(userId, {
+                ...filters,
+                sort,
+                cursor: cursor ? decodeCursor(cursor) : null,
+                skip: cursor ? 0 : (page - 1) * pageSize,
+                limit: pageSize + 1
+            });
+            total = await Payment.countByUser(userId, filters);
+
+            if (payments.length > pageSize) {
+                payments = payments.slice(0, pageSize);
+                nextCursor = encodeCursor(payments[payments.length - 1], PAYMENT_SORTS[sort].field);
+            }
         } else {
             // Get payment statistics (public)
             const stats = await Payment.getStats();
@@ -164,7 +253,6 @@ async function handleGetPayments(req, res) {
             });
         }
 
-        const pageSize = parseInt(limit) || 10;
         const totalPages = Math.ceil(total / pageSize);
 
         return res.status(200).json({
@@ -172,16 +260,24 @@ async function handleGetPayments(req, res) {
             data: {
                 payments: payments.map(payment => payment.toPaymentResponse()),
                 pagination: {
-                    page: parseInt(page),
+                    page: cursor ? null : page,
                     pageSize,
                     total,
-                    totalPages
+                    totalPages,
+                    nextCursor
                 }
             }
         });
 
     } catch (error) {
         console.error('Get payments error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
         return res.status(500).json({ 
             success: false, 
             message: 'Failed to fetch payments',
@@ -193,7 +289,21 @@ async function handleGetPayments(req, res) {
 // Update payment (for webhooks and status updates)
 async function handleUpdatePayment(req, res) {
     try {
-        const { paymentId, status, transactionData, identifier } = req.body;
+        try {
+            await new Promise((resolve, reject) => {
+                authenticateToken(req, res, (err) => {
+                    if (err) return reject(err);
+                    resolve();
+                });
+            });
+        } catch (authError) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required to update payments'
+            });
+        }
+
+        const { paymentId, status, transactionData, identifier, reason } = req.body;
 
         if (!paymentId) {
             return res.status(400).json({
@@ -202,12 +312,12 @@ async function handleUpdatePayment(req, res) {
             });
         }
 
-        const payment = await Payment.findOne({ 
-            $or: [
-                { paymentId },
-                { identifier }
-            ]
-        });
+        // Match on the IDs actually sent; a missing identifier would otherwise match null
+        const lookup = [{ paymentId }];
+        if (identifier) {
+            lookup.push({ identifier });
+        }
+        const payment = await Payment.findOne({ $or: lookup });
 
         if (!payment) {
             return res.status(404).json({
@@ -216,30 +326,86 @@ async function handleUpdatePayment(req, res) {
             });
         }
 
+        // Only the payer or the payee (or an admin) can move a payment along
+        if (!can(req.user, 'payments:update', { ownerId: payment.user.uid }) &&
+            !can(req.user, 'payments:update', { ownerId: await payment.getPayeeUid() })) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only update your own payments.'
+            });
+        }
+
+        // Reject illegal transitions before touching the Pi Platform
+        const knownStatuses = ['approved', 'completed', 'cancelled', 'failed'];
+        if (knownStatuses.includes(status) && !payment.canTransitionTo(status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot change payment status from '${payment.status}' to '${status}'`,
+                code: 'ILLEGAL_STATUS_TRANSITION'
+            });
+        }
+
+        const transition = { actor: req.user, reason };
+
+        // Link the Pi payment identifier reported by the client
+        if (identifier && !payment.identifier) {
+            payment.identifier = identifier;
+        }
+
         // Update payment based on status
         switch (status) {
-            case 'approved':
-                payment.status = 'approved';
+            case 'approved': {
+                if (!payment.identifier) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Pi payment identifier is required for approval'
+                    });
+                }
+
+                // Check the Pi payment against ours before approving it server-side
+                const piPayment = await piPlatform.getPayment(payment.identifier);
+                const mismatch = findPaymentMismatch(piPayment, payment);
+                if (mismatch) {
+                    return res.status(400).json({
+                        success: false,
+                        message: mismatch
+                    });
+                }
+
+                await piPlatform.approvePayment(payment.identifier);
+                payment.transitionTo('approved', transition);
                 payment.approvedAt = new Date();
                 break;
+            }
             
-            case 'completed':
-                if (transactionData) {
-                    await payment.markAsCompleted(transactionData);
-                } else {
-                    payment.status = 'completed';
-                    payment.completedAt = new Date();
+            case 'completed': {
+                const txid = transactionData?.txid || transactionData?.transactionId;
+                if (!payment.identifier || !txid) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Pi payment identifier and transaction ID are required for completion'
+                    });
                 }
+
+                // Completion is confirmed by the Pi Platform, not taken from the client
+                const piPayment = await piPlatform.completePayment(payment.identifier, txid);
+                await payment.markAsCompleted(toPiNetworkData(piPayment), transition);
                 break;
+            }
             
             case 'cancelled':
-                payment.status = 'cancelled';
+                // Payments created on the Pi Platform are cancelled there first
+                if (payment.identifier) {
+                    await piPlatform.cancelPayment(payment.identifier);
+                }
+                payment.transitionTo('cancelled', transition);
                 payment.cancelledAt = new Date();
                 break;
             
             case 'failed':
                 await payment.markAsFailed(
-                    new Error(transactionData?.error || 'Payment failed')
+                    new Error(transactionData?.error || 'Payment failed'),
+                    transition
                 );
                 break;
             
@@ -252,6 +418,9 @@ async function handleUpdatePayment(req, res) {
 
         await payment.save();
 
+        // Notify the merchant of the status change (failures are retried by the cron job)
+        await dispatchPaymentWebhook(payment);
+
         return res.status(200).json({
             success: true,
             data: payment.toPaymentResponse(),
@@ -260,6 +429,13 @@ async function handleUpdatePayment(req, res) {
 
     } catch (error) {
         console.error('Update payment error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
         return res.status(500).json({ 
             success: false, 
             message: 'Failed to update payment',
@@ -0,0 +1,132 @@
+import dbConnect from '../../lib/mongodb.js';
+import Payment from '../../models/Payment.js';
+// Registers the Product model that payee lookups fall back to
+import '../../models/Product.js';
+import { authenticateToken } from '../../lib/auth.js';
+import { can } from '../../lib/permissions.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+import { dispatchPaymentWebhook } from '../../lib/webhooks.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'payments');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    if (method !== 'POST') {
+        res.setHeader('Allow', ['POST']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${method} not allowed`
+        });
+    }
+
+    try {
+        await new Promise((resolve, reject) => {
+            authenticateToken(req, res, (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    } catch (authError) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required to refund payments'
+        });
+    }
+
+    try {
+        const { paymentId, amount, reason, refundTransactionId } = req.body;
+
+        if (!paymentId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment ID is required'
+            });
+        }
+
+        // Omit amount for a full refund; anything else must be a positive number
+        let refundAmount;
+        if (amount !== undefined) {
+            refundAmount = typeof amount === 'string' && amount.trim() !== '' ? Number(amount) : amount;
+            if (typeof refundAmount !== 'number' || !Number.isFinite(refundAmount) || refundAmount <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Refund amount must be a number greater than zero',
+                    code: 'INVALID_REFUND_AMOUNT'
+                });
+            }
+        }
+
+        const payment = await Payment.findOne({ paymentId });
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        // Only the payee (or an admin) can refund
+        if (!can(req.user, 'payments:refund', { ownerId: await payment.getPayeeUid() })) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only the payee can refund this payment.'
+            });
+        }
+
+        await payment.processRefund(
+            refundAmount,
+            reason,
+            { refundTransactionId, actor: req.user }
+        );
+
+        await dispatchPaymentWebhook(payment);
+
+        return res.status(200).json({
+            success: true,
+            data: payment.toPaymentResponse(),
+            message: payment.status === 'refunded'
+                ? 'Payment refunded in full'
+                : 'Payment partially refunded'
+        });
+    } catch (error) {
+        console.error('Refund payment error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        if (error.name === 'VersionError') {
+            return res.status(409).json({
+                success: false,
+                message: 'Payment was modified concurrently. Please retry.',
+                code: 'CONCURRENT_MODIFICATION'
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to refund payment',
+            error: error.message
+        });
+    }
+}
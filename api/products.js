@@ -1,6 +1,10 @@
 import dbConnect from '../lib/mongodb.js';
 import Product from '../models/Product.js';
-import { authenticateToken, hasPermission, apiRateLimiter } from '../lib/auth.js';
+import { authenticateToken } from '../lib/auth.js';
+import { can } from '../lib/permissions.js';
+import { checkRateLimit } from '../lib/rateLimit.js';
+import { generateQRDataUrl } from '../lib/qrcode.js';
+import { toGeoPoint } from '../lib/geo.js';
 
 export default async function handler(req, res) {
     // Enable CORS
@@ -18,8 +22,8 @@ export default async function handler(req, res) {
     const { method } = req;
 
     // Apply rate limiting
-    const clientIP = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-    if (!apiRateLimiter.check(clientIP)) {
+    const rateLimit = await checkRateLimit(req, res, 'products');
+    if (!rateLimit.allowed) {
         return res.status(429).json({
             success: false,
             message: 'Too many requests. Please try again later.'
@@ -52,15 +56,31 @@ export default async function handler(req, res) {
                         data: products 
                     });
                 } else {
-                    // Get all public products (for search)
-                    const products = await Product.find({ isActive: true });
+                    // Search public products a page at a time
+                    const { cursor, limit, sort, q, category, country, owner, stage, minPrice, maxPrice, from, to } = req.query;
+                    const result = await Product.listProducts({
+                        cursor, limit, sort, q, category, country, owner, stage, minPrice, maxPrice, from, to
+                    });
                     return res.status(200).json({ 
                         success: true, 
-                        data: products 
+                        data: result.products,
+                        pagination: {
+                            nextCursor: result.nextCursor,
+                            total: result.total,
+                            limit: result.limit,
+                            sort: result.sort
+                        }
                     });
                 }
             } catch (error) {
                 console.error('Get products error:', error);
+                if (error.status) {
+                    return res.status(error.status).json({
+                        success: false,
+                        message: error.message,
+                        code: error.code
+                    });
+                }
                 return res.status(500).json({ 
                     success: false, 
                     message: 'Failed to fetch products',
@@ -84,11 +104,36 @@ export default async function handler(req, res) {
                 });
             }
 
+            if (!can(req.user, 'products:create')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. You are not allowed to create products.'
+                });
+            }
+
             try {
-                const product = await Product.create({
-                    ...req.body,
+                const {
+                    supplyChain = [], pendingTransfer, custodyHistory, participants, kind, parents, inheritedStage,
+                    ...productData
+                } = req.body;
+                if (productData.origin?.geo) {
+                    productData.origin = { ...productData.origin, geo: toGeoPoint(productData.origin.geo) };
+                }
+
+                const product = new Product({
+                    ...productData,
                     owner: req.user.uid // Set owner from authenticated user
                 });
+
+                // Initial supply chain steps go through the same ordering rules as appends
+                for (const step of supplyChain) {
+                    product.supplyChain.push(product.buildSupplyChainStep(step, req.user));
+                }
+
+                // QR code points at the public verification page for this hash
+                product.qrCode = await generateQRDataUrl(product.ensureHash());
+
+                await product.save();
                 
                 return res.status(201).json({ 
                     success: true, 
@@ -96,6 +141,13 @@ export default async function handler(req, res) {
                 });
             } catch (error) {
                 console.error('Create product error:', error);
+                if (error.status) {
+                    return res.status(error.status).json({
+                        success: false,
+                        message: error.message,
+                        code: error.code
+                    });
+                }
                 if (error.code === 11000) {
                     return res.status(400).json({ 
                         success: false, 
@@ -126,6 +178,40 @@ export default async function handler(req, res) {
             }
 
             try {
+                // Supply chain history is append-only via /api/products/supply-chain
+                const touchesSupplyChain = Object.keys(req.body)
+                    .some(key => key.startsWith('supplyChain') || key === 'currentStage' || key.startsWith('$'));
+                if (touchesSupplyChain) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Supply chain cannot be modified here. Use /api/products/supply-chain to append steps.'
+                    });
+                }
+
+                // Ownership only changes through an accepted transfer
+                const touchesCustody = Object.keys(req.body)
+                    .some(key => ['owner', 'pendingTransfer', 'custodyHistory'].includes(key.split('.')[0]));
+                if (touchesCustody) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Ownership cannot be modified here. Use /api/products/transfer to transfer custody.'
+                    });
+                }
+
+                if (Object.keys(req.body).some(key => key.split('.')[0] === 'participants')) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Participants cannot be modified here. Use /api/products/participants.'
+                    });
+                }
+
+                if (Object.keys(req.body).some(key => ['kind', 'parents', 'inheritedStage'].includes(key.split('.')[0]))) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Lineage cannot be modified here. Use /api/products/lineage to split products or build lots.'
+                    });
+                }
+
                 const product = await Product.findById(req.body.id);
                 
                 if (!product) {
@@ -136,16 +222,21 @@ export default async function handler(req, res) {
                 }
 
                 // Check permission
-                if (!hasPermission(req.user, product.owner)) {
+                if (!can(req.user, 'products:update', { ownerId: product.owner })) {
                     return res.status(403).json({
                         success: false,
                         message: 'Access denied. You can only update your own products.'
                     });
                 }
 
+                const update = { ...req.body };
+                if (update.origin?.geo) {
+                    update.origin = { ...update.origin, geo: toGeoPoint(update.origin.geo) };
+                }
+
                 const updatedProduct = await Product.findByIdAndUpdate(
                     req.body.id,
-                    req.body,
+                    update,
                     { new: true, runValidators: true }
                 );
                 
@@ -155,6 +246,13 @@ export default async function handler(req, res) {
                 });
             } catch (error) {
                 console.error('Update product error:', error);
+                if (error.status) {
+                    return res.status(error.status).json({
+                        success: false,
+                        message: error.message,
+                        code: error.code
+                    });
+                }
                 return res.status(500).json({ 
                     success: false, 
                     message: 'Failed to update product',
@@ -189,7 +287,7 @@ export default async function handler(req, res) {
                 }
 
                 // Check permission
-                if (!hasPermission(req.user, product.owner)) {
+                if (!can(req.user, 'products:delete', { ownerId: product.owner })) {
                     return res.status(403).json({
                         success: false,
                         message: 'Access denied. You can only delete your own products.'
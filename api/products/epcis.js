@@ -0,0 +1,170 @@
+import dbConnect from '../../lib/mongodb.js';
+import Product from '../../models/Product.js';
+import { authenticateToken } from '../../lib/auth.js';
+import { can } from '../../lib/permissions.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+import { exportProduct, exportOwnerEvents, importEPCISDocument } from '../../lib/epcis.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'products');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    switch (method) {
+        case 'GET':
+            return await handleExport(req, res);
+
+        case 'POST':
+            return await handleImport(req, res);
+
+        default:
+            res.setHeader('Allow', ['GET', 'POST']);
+            return res.status(405).json({
+                success: false,
+                message: `Method ${method} not allowed`
+            });
+    }
+}
+
+// Send an EPCIS document as JSON-LD
+function sendDocument(res, document, filename) {
+    res.setHeader('Content-Type', 'application/ld+json');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}.jsonld"`);
+    return res.status(200).send(JSON.stringify(document));
+}
+
+// Export one product's supply chain (?hash or ?productId, public like verification)
+// or the steps of an owner's products in a date range (?owner&from&to, authenticated)
+async function handleExport(req, res) {
+    try {
+        const { hash, productId, owner, from, to } = req.query;
+
+        if (hash || productId) {
+            const product = hash
+                ? await Product.findOne({ hash })
+                : await Product.findById(productId);
+            if (!product || !product.isActive) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Product not found'
+                });
+            }
+            return sendDocument(res, exportProduct(product), product.hash);
+        }
+
+        if (!owner) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide hash or productId, or owner with an optional from/to range'
+            });
+        }
+
+        try {
+            await new Promise((resolve, reject) => {
+                authenticateToken(req, res, (err) => {
+                    if (err) return reject(err);
+                    resolve();
+                });
+            });
+        } catch (authError) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required to export an owner\'s events'
+            });
+        }
+
+        if (!can(req.user, 'products:export', { ownerId: owner })) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only export your own products.'
+            });
+        }
+
+        const range = {
+            from: from ? new Date(from) : null,
+            to: to ? new Date(to) : null
+        };
+        if ((range.from && isNaN(range.from)) || (range.to && isNaN(range.to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'from and to must be valid dates'
+            });
+        }
+
+        return sendDocument(res, await exportOwnerEvents(owner, range), `${owner}-events`);
+    } catch (error) {
+        console.error('EPCIS export error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to export EPCIS events',
+            error: error.message
+        });
+    }
+}
+
+// Import the ObjectEvents of an EPCIS document into supply chains
+async function handleImport(req, res) {
+    try {
+        await new Promise((resolve, reject) => {
+            authenticateToken(req, res, (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    } catch (authError) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required to import EPCIS events'
+        });
+    }
+
+    try {
+        const report = await importEPCISDocument(req.body, req.user);
+
+        return res.status(200).json({
+            success: report.invalid === 0,
+            data: report,
+            message: `Imported ${report.imported} of ${report.total} events`
+        });
+    } catch (error) {
+        console.error('EPCIS import error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to import EPCIS events',
+            error: error.message
+        });
+    }
+}
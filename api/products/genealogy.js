@@ -0,0 +1,72 @@
+import dbConnect from '../../lib/mongodb.js';
+import Product from '../../models/Product.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+import { buildGenealogy, getInheritedProvenance } from '../../lib/lineage.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'public');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    if (method !== 'GET') {
+        res.setHeader('Allow', ['GET']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${method} not allowed`
+        });
+    }
+
+    // Return the upstream and downstream genealogy tree of a product
+    try {
+        const { hash } = req.query;
+
+        if (!hash) {
+            return res.status(400).json({
+                success: false,
+                message: 'Product hash is required'
+            });
+        }
+
+        const product = await Product.findOne({ hash });
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                tree: await buildGenealogy(product),
+                inheritedSupplyChain: await getInheritedProvenance(product)
+            }
+        });
+    } catch (error) {
+        console.error('Product genealogy error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to build product genealogy',
+            error: error.message
+        });
+    }
+}
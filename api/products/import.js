@@ -0,0 +1,153 @@
+import dbConnect from '../../lib/mongodb.js';
+import { authenticateToken } from '../../lib/auth.js';
+import { can } from '../../lib/permissions.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+import { parseCSV } from '../../lib/csv.js';
+import { importProducts } from '../../lib/productImport.js';
+
+// Vercel rejects larger request bodies anyway
+const IMPORT_MAX_BYTES = parseInt(process.env.PRODUCT_IMPORT_MAX_BYTES) || 4.5 * 1024 * 1024;
+
+// Read the raw request body; the runtime leaves req.body unset for types it doesn't parse, like text/csv
+async function readRawBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > IMPORT_MAX_BYTES) {
+            const error = new Error(`Import body is larger than ${IMPORT_MAX_BYTES} bytes`);
+            error.code = 'IMPORT_TOO_LARGE';
+            error.status = 413;
+            throw error;
+        }
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// Read a boolean flag from the query string or JSON body
+function readFlag(req, name) {
+    const value = req.query[name] ?? (req.body && typeof req.body === 'object' ? req.body[name] : undefined);
+    return value === true || value === 'true' || value === '1';
+}
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'products');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    if (method !== 'POST') {
+        res.setHeader('Allow', ['POST']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${method} not allowed`
+        });
+    }
+
+    try {
+        await new Promise((resolve, reject) => {
+            authenticateToken(req, res, (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    } catch (authError) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required to import products'
+        });
+    }
+
+    if (!can(req.user, 'products:create')) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied. You are not allowed to create products.'
+        });
+    }
+
+    // Accepts a raw CSV body (text/csv, text/plain or application/octet-stream), a JSON array
+    // of products, or { rows } / { csv } in JSON.
+    // Options come from the query string or body: dryRun, allOrNothing.
+    // Dry-run hashes are previews; a real import generates new ones unless rows set a hash.
+    try {
+        let rows;
+        if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+            rows = parseCSV(req.body.toString('utf8'));
+        } else if (req.body === undefined && /^text\/csv\b/i.test(req.headers['content-type'] || '')) {
+            rows = parseCSV(await readRawBody(req));
+        } else if (Array.isArray(req.body)) {
+            rows = req.body;
+        } else if (Array.isArray(req.body?.rows)) {
+            rows = req.body.rows;
+        } else if (typeof req.body?.csv === 'string') {
+            rows = parseCSV(req.body.csv);
+        } else {
+            return res.status(400).json({
+                success: false,
+                message: 'Send CSV (as text/csv, text/plain or { csv }) or a JSON array of products (or { rows })'
+            });
+        }
+
+        const report = await importProducts(rows, req.user, {
+            dryRun: readFlag(req, 'dryRun'),
+            allOrNothing: readFlag(req, 'allOrNothing')
+        });
+
+        if (report.dryRun) {
+            return res.status(200).json({
+                success: report.invalid === 0,
+                data: report,
+                message: `Dry run: ${report.valid} of ${report.total} rows are valid`
+            });
+        }
+
+        if (report.created === 0) {
+            return res.status(400).json({
+                success: false,
+                data: report,
+                message: report.allOrNothing
+                    ? 'No products were imported because some rows are invalid'
+                    : 'No valid rows to import'
+            });
+        }
+
+        return res.status(201).json({
+            success: true,
+            data: report,
+            message: `Imported ${report.created} of ${report.total} products`
+        });
+    } catch (error) {
+        console.error('Import products error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to import products',
+            error: error.message
+        });
+    }
+}
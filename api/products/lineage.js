@@ -0,0 +1,123 @@
+import dbConnect from '../../lib/mongodb.js';
+import { authenticateToken } from '../../lib/auth.js';
+import { can } from '../../lib/permissions.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+import { splitProduct, groupIntoLot } from '../../lib/lineage.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'products');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    if (method !== 'POST') {
+        res.setHeader('Allow', ['POST']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${method} not allowed`
+        });
+    }
+
+    try {
+        await new Promise((resolve, reject) => {
+            authenticateToken(req, res, (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    } catch (authError) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required to split products or build lots'
+        });
+    }
+
+    // Both actions create new products
+    if (!can(req.user, 'products:create')) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied. You are not allowed to create products.'
+        });
+    }
+
+    try {
+        const { action } = req.body;
+
+        switch (action) {
+            case 'split': {
+                const { productId, portions } = req.body;
+                if (!productId) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Missing required field: productId'
+                    });
+                }
+
+                const { parent, children } = await splitProduct(productId, portions, req.user);
+                return res.status(201).json({
+                    success: true,
+                    data: { parent, children },
+                    message: `Product split into ${children.length} portion(s)`
+                });
+            }
+
+            case 'lot': {
+                const { productIds, name, description, category, unit } = req.body;
+                const { lot, members } = await groupIntoLot(
+                    productIds,
+                    { name, description, category, unit },
+                    req.user
+                );
+                return res.status(201).json({
+                    success: true,
+                    data: { lot, members },
+                    message: `Lot created with ${members.length} products`
+                });
+            }
+
+            default:
+                return res.status(400).json({
+                    success: false,
+                    message: 'Action must be one of: split, lot'
+                });
+        }
+    } catch (error) {
+        console.error('Product lineage error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to update product lineage',
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,99 @@
+import dbConnect from '../../lib/mongodb.js';
+import Product, { SUPPLY_CHAIN_STAGES } from '../../models/Product.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+import { toGeoPoint, parseBoundingBox, parseRadius } from '../../lib/geo.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'products');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    if (method !== 'GET') {
+        res.setHeader('Allow', ['GET']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${method} not allowed`
+        });
+    }
+
+    // Find products whose supply chain passed through an area:
+    // ?lng=&lat=&radius= (meters) or ?bbox=minLng,minLat,maxLng,maxLat
+    try {
+        const { lng, lat, radius, bbox, stage, cursor, limit } = req.query;
+
+        let area;
+        if (bbox) {
+            area = { bbox: parseBoundingBox(bbox) };
+        } else if (lng !== undefined && lat !== undefined) {
+            area = { center: toGeoPoint({ lng, lat }), radius: parseRadius(radius) };
+        } else {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide lng, lat and radius, or bbox'
+            });
+        }
+
+        if (stage && !SUPPLY_CHAIN_STAGES.includes(stage)) {
+            return res.status(400).json({
+                success: false,
+                message: `Stage must be one of: ${SUPPLY_CHAIN_STAGES.join(', ')}`
+            });
+        }
+
+        const result = await Product.findByStepLocation(area, { stage, cursor, limit });
+
+        return res.status(200).json({
+            success: true,
+            data: result.results.map(({ product, matchedSteps }) => ({
+                id: product._id,
+                name: product.name,
+                category: product.category,
+                hash: product.hash,
+                currentStage: product.currentStage || null,
+                matchedSteps: matchedSteps.map(step => ({
+                    stage: step.stage,
+                    location: step.location,
+                    geo: step.geo,
+                    timestamp: step.timestamp
+                }))
+            })),
+            pagination: {
+                limit: result.limit,
+                nextCursor: result.nextCursor
+            }
+        });
+    } catch (error) {
+        console.error('Nearby products error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to search products by location',
+            error: error.message
+        });
+    }
+}
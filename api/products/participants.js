@@ -0,0 +1,170 @@
+import dbConnect from '../../lib/mongodb.js';
+import Product, { SUPPLY_CHAIN_STAGES } from '../../models/Product.js';
+import User from '../../models/User.js';
+import { authenticateToken } from '../../lib/auth.js';
+import { can } from '../../lib/permissions.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'products');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    try {
+        await new Promise((resolve, reject) => {
+            authenticateToken(req, res, (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    } catch (authError) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required to manage participants'
+        });
+    }
+
+    const productId = method === 'GET' ? req.query.productId : req.body?.productId;
+    if (!productId) {
+        return res.status(400).json({
+            success: false,
+            message: 'Product ID is required'
+        });
+    }
+
+    try {
+        const product = await Product.findById(productId);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        // Participants can see who else takes part; only the owner changes the list
+        const canManage = can(req.user, 'products:participants', { ownerId: product.owner });
+        if (!canManage && !(method === 'GET' && product.findParticipant(req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only manage participants of your own products.'
+            });
+        }
+
+        switch (method) {
+            case 'GET':
+                return res.status(200).json({
+                    success: true,
+                    data: product.participants
+                });
+
+            case 'POST':
+                return await handleSetParticipant(req, res, product);
+
+            case 'DELETE': {
+                const { participantId } = req.body;
+                if (!participantId) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Participant ID is required'
+                    });
+                }
+
+                await product.removeParticipant(participantId);
+                return res.status(200).json({
+                    success: true,
+                    message: 'Participant removed successfully'
+                });
+            }
+
+            default:
+                res.setHeader('Allow', ['GET', 'POST', 'DELETE']);
+                return res.status(405).json({
+                    success: false,
+                    message: `Method ${method} not allowed`
+                });
+        }
+    } catch (error) {
+        console.error('Participants error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to manage participants',
+            error: error.message
+        });
+    }
+}
+
+// Authorize a user or organization for a set of stages
+async function handleSetParticipant(req, res, product) {
+    const { uid, organization, stages } = req.body;
+
+    if (Boolean(uid) === Boolean(organization)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Provide either uid or organization'
+        });
+    }
+
+    if (!Array.isArray(stages) || stages.length === 0 ||
+        stages.some(stage => !SUPPLY_CHAIN_STAGES.includes(stage))) {
+        return res.status(400).json({
+            success: false,
+            message: `Stages must be a non-empty list of: ${SUPPLY_CHAIN_STAGES.join(', ')}`
+        });
+    }
+
+    let username;
+    if (uid) {
+        if (uid === product.owner) {
+            return res.status(400).json({
+                success: false,
+                message: 'The owner can already record every stage'
+            });
+        }
+
+        const user = await User.findOne({ uid, retiredAt: null }).select('username');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+        username = user.username;
+    }
+
+    const participant = await product.setParticipant(
+        { uid, username, organization, stages: [...new Set(stages)] },
+        req.user
+    );
+
+    return res.status(200).json({
+        success: true,
+        data: participant,
+        message: 'Participant saved successfully'
+    });
+}
@@ -0,0 +1,90 @@
+import dbConnect from '../../lib/mongodb.js';
+import Product from '../../models/Product.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+import { parseQRSize, generateQRPng, generateQRSvg } from '../../lib/qrcode.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'public');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    if (method !== 'GET') {
+        res.setHeader('Allow', ['GET']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${method} not allowed`
+        });
+    }
+
+    try {
+        const { productId, hash, format = 'png', size } = req.query;
+
+        if (!productId && !hash) {
+            return res.status(400).json({
+                success: false,
+                message: 'Product ID or hash is required'
+            });
+        }
+
+        if (!['png', 'svg'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format must be png or svg'
+            });
+        }
+
+        const product = productId
+            ? await Product.findById(productId).select('hash')
+            : await Product.findOne({ hash }).select('hash');
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const qrSize = parseQRSize(size);
+        const image = format === 'svg'
+            ? await generateQRSvg(product.hash, qrSize)
+            : await generateQRPng(product.hash, qrSize);
+
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        res.setHeader('Content-Disposition', `inline; filename="${product.hash}.${format}"`);
+        res.setHeader('Content-Type', format === 'svg' ? 'image/svg+xml' : 'image/png');
+        return res.status(200).send(image);
+    } catch (error) {
+        console.error('Generate QR code error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to generate QR code',
+            error: error.message
+        });
+    }
+}
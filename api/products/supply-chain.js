@@ -0,0 +1,148 @@
+import dbConnect from '../../lib/mongodb.js';
+import Product from '../../models/Product.js';
+import { authenticateToken } from '../../lib/auth.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'products');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    switch (method) {
+        case 'GET':
+            return await handleGetSupplyChain(req, res);
+
+        case 'POST':
+            return await handleAppendStep(req, res);
+
+        default:
+            res.setHeader('Allow', ['GET', 'POST']);
+            return res.status(405).json({
+                success: false,
+                message: `Method ${method} not allowed`
+            });
+    }
+}
+
+// Get a product's supply chain timeline
+async function handleGetSupplyChain(req, res) {
+    try {
+        const { productId } = req.query;
+        if (!productId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Product ID is required'
+            });
+        }
+
+        const product = await Product.findById(productId).select('supplyChain');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: product.supplyChain
+        });
+    } catch (error) {
+        console.error('Get supply chain error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to fetch supply chain',
+            error: error.message
+        });
+    }
+}
+
+// Append a single step to a product's supply chain
+async function handleAppendStep(req, res) {
+    try {
+        await new Promise((resolve, reject) => {
+            authenticateToken(req, res, (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    } catch (authError) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required to record supply chain steps'
+        });
+    }
+
+    try {
+        const { productId, stage, location, geo, description, status, timestamp } = req.body;
+
+        if (!productId || !stage) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: productId, stage'
+            });
+        }
+
+        const product = await Product.findById(productId);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        // Owners (and admins) record any stage; participants only the stages they were authorized for
+        const attestation = product.resolveAttestation(req.user, stage);
+        if (!attestation) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You are not authorized to record this stage for this product.'
+            });
+        }
+
+        const updatedProduct = await product.appendSupplyChainStep(
+            { stage, location, geo, description, status, timestamp },
+            req.user,
+            attestation
+        );
+
+        return res.status(201).json({
+            success: true,
+            data: updatedProduct.lastSupplyChainStep(),
+            message: 'Supply chain step recorded successfully'
+        });
+    } catch (error) {
+        console.error('Append supply chain step error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to record supply chain step',
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,227 @@
+import dbConnect from '../../lib/mongodb.js';
+import Product from '../../models/Product.js';
+import User from '../../models/User.js';
+import { authenticateToken } from '../../lib/auth.js';
+import { can } from '../../lib/permissions.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'products');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    // Every transfer operation acts for a specific user
+    try {
+        await new Promise((resolve, reject) => {
+            authenticateToken(req, res, (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    } catch (authError) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required to transfer products'
+        });
+    }
+
+    switch (method) {
+        case 'GET':
+            return await handleGetTransfers(req, res);
+
+        case 'POST':
+            return await handleTransferAction(req, res);
+
+        default:
+            res.setHeader('Allow', ['GET', 'POST']);
+            return res.status(405).json({
+                success: false,
+                message: `Method ${method} not allowed`
+            });
+    }
+}
+
+// Get a product's custody (with productId) or the transfers awaiting the user
+async function handleGetTransfers(req, res) {
+    try {
+        const { productId } = req.query;
+
+        if (!productId) {
+            const incoming = await Product.find({ 'pendingTransfer.to.uid': req.user.uid, isActive: true })
+                .sort({ 'pendingTransfer.proposedAt': -1 })
+                .select('name category hash owner pendingTransfer');
+
+            return res.status(200).json({
+                success: true,
+                data: incoming
+            });
+        }
+
+        const product = await Product.findById(productId).select('owner pendingTransfer custodyHistory');
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        // A pending transfer is only visible to the parties and to privileged roles
+        const transfer = product.pendingTransfer;
+        const isParty = transfer && [transfer.from.uid, transfer.to.uid].includes(req.user.uid);
+        const canSeeTransfer = isParty || can(req.user, 'products:update', { ownerId: product.owner });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                owner: product.owner,
+                pendingTransfer: canSeeTransfer ? transfer || null : null,
+                custodyHistory: product.custodyHistory
+            }
+        });
+    } catch (error) {
+        console.error('Get transfers error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to fetch transfers',
+            error: error.message
+        });
+    }
+}
+
+// Propose, accept, reject or cancel a custody transfer
+async function handleTransferAction(req, res) {
+    try {
+        const { productId, action, toUid, note } = req.body;
+
+        if (!productId || !action) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing required fields: productId, action'
+            });
+        }
+
+        const product = await Product.findById(productId);
+        if (!product || !product.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        switch (action) {
+            case 'propose': {
+                // Transfers hand over the proposer's own custody, so admins can't propose for owners
+                if (product.owner !== req.user.uid || !can(req.user, 'products:transfer', { ownerId: product.owner })) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Access denied. You can only transfer your own products.'
+                    });
+                }
+                if (!toUid) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'Missing required field: toUid'
+                    });
+                }
+
+                const recipient = await User.findOne({ uid: toUid, retiredAt: null }).select('uid username');
+                if (!recipient) {
+                    return res.status(404).json({
+                        success: false,
+                        message: 'Recipient not found'
+                    });
+                }
+
+                const updated = await product.proposeTransfer(req.user, recipient, note);
+                return res.status(201).json({
+                    success: true,
+                    data: updated.pendingTransfer,
+                    message: 'Transfer proposed. Waiting for the recipient to accept.'
+                });
+            }
+
+            case 'accept': {
+                if (!can(req.user, 'products:transfer')) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Access denied. You are not allowed to accept transfers.'
+                    });
+                }
+
+                const updated = await product.acceptTransfer(req.user);
+                return res.status(200).json({
+                    success: true,
+                    data: updated,
+                    message: 'Transfer accepted. You are now the owner of this product.'
+                });
+            }
+
+            case 'reject':
+            case 'cancel': {
+                if (!can(req.user, 'products:transfer')) {
+                    return res.status(403).json({
+                        success: false,
+                        message: `Access denied. You are not allowed to ${action} transfers.`
+                    });
+                }
+
+                // Recipients reject, owners cancel
+                const transfer = product.pendingTransfer;
+                const party = action === 'reject' ? transfer?.to : transfer?.from;
+                if (transfer && party.uid !== req.user.uid) {
+                    return res.status(403).json({
+                        success: false,
+                        message: action === 'reject'
+                            ? 'Only the recipient can reject this transfer'
+                            : 'Only the owner can cancel this transfer'
+                    });
+                }
+
+                await product.clearTransfer(req.user);
+                return res.status(200).json({
+                    success: true,
+                    message: action === 'reject' ? 'Transfer rejected' : 'Transfer cancelled'
+                });
+            }
+
+            default:
+                return res.status(400).json({
+                    success: false,
+                    message: 'Action must be one of: propose, accept, reject, cancel'
+                });
+        }
+    } catch (error) {
+        console.error('Transfer action error:', error);
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                code: error.code
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to process transfer',
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,79 @@
+import dbConnect from '../../lib/mongodb.js';
+import Product from '../../models/Product.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'public');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    if (method !== 'GET') {
+        res.setHeader('Allow', ['GET']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${method} not allowed`
+        });
+    }
+
+    try {
+        const { productId, hash } = req.query;
+
+        if (!productId && !hash) {
+            return res.status(400).json({
+                success: false,
+                message: 'Product ID or hash is required'
+            });
+        }
+
+        const product = productId
+            ? await Product.findById(productId)
+            : await Product.findOne({ hash });
+
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                productHash: product.hash,
+                ...product.verifySupplyChain(),
+                steps: product.supplyChain.map(step => ({
+                    stage: step.stage,
+                    timestamp: step.timestamp,
+                    previousHash: step.previousHash,
+                    hash: step.hash
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Verify supply chain error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to verify supply chain',
+            error: error.message
+        });
+    }
+}
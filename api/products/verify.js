@@ -0,0 +1,90 @@
+import dbConnect from '../../lib/mongodb.js';
+import Product from '../../models/Product.js';
+import User from '../../models/User.js';
+import { checkRateLimit } from '../../lib/rateLimit.js';
+import { getInheritedProvenance } from '../../lib/lineage.js';
+
+export default async function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    await dbConnect();
+
+    const { method } = req;
+
+    // Apply rate limiting
+    const rateLimit = await checkRateLimit(req, res, 'public');
+    if (!rateLimit.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.'
+        });
+    }
+
+    if (method !== 'GET') {
+        res.setHeader('Allow', ['GET']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${method} not allowed`
+        });
+    }
+
+    try {
+        const { hash } = req.query;
+
+        if (!hash) {
+            return res.status(400).json({
+                success: false,
+                message: 'Product hash is required'
+            });
+        }
+
+        const product = await Product.findOne({ hash });
+
+        // Unknown hashes are a valid answer for a scanner, not an error
+        if (!product) {
+            return res.status(200).json({
+                success: true,
+                data: {
+                    verdict: 'unknown',
+                    hash,
+                    product: null
+                }
+            });
+        }
+
+        const owner = await User.findOne({ uid: product.owner }).select('username');
+        const chainIntact = product.verifySupplyChain().valid;
+
+        // A broken hash chain means the history was altered, so never call it authentic
+        let verdict = product.isActive ? 'authentic' : 'inactive';
+        if (!chainIntact) {
+            verdict = 'tampered';
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                verdict,
+                hash,
+                chainIntact,
+                product: product.toPublicView(owner ? owner.username : null),
+                inheritedSupplyChain: await getInheritedProvenance(product)
+            }
+        });
+    } catch (error) {
+        console.error('Verify product error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to verify product',
+            error: error.message
+        });
+    }
+}
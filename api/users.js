@@ -1,5 +1,11 @@
 import dbConnect from '../lib/mongodb.js';
 import User from '../models/User.js';
+import { authenticateToken } from '../lib/auth.js';
+import { can } from '../lib/permissions.js';
+import { generateWebhookSecret } from '../lib/webhooks.js';
+
+// Profile fields users may change themselves
+const UPDATABLE_FIELDS = ['username', 'walletAddress'];
 
 export default async function handler(req, res) {
     // Enable CORS
@@ -48,9 +54,69 @@ export default async function handler(req, res) {
                 });
             }
 
+        case 'POST':
+            if (req.query.action === 'webhook-secret') {
+                return await handleRotateWebhookSecret(req, res);
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown action'
+            });
+
         case 'PUT':
+            // Authenticate for user updates
             try {
-                const { uid, ...updateData } = req.body;
+                await new Promise((resolve, reject) => {
+                    authenticateToken(req, res, (err) => {
+                        if (err) return reject(err);
+                        resolve();
+                    });
+                });
+            } catch (authError) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required to update users'
+                });
+            }
+
+            try {
+                const { uid, role, organization } = req.body;
+
+                // Check permission
+                if (!can(req.user, 'users:update', { ownerId: uid })) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Access denied. You can only update your own profile.'
+                    });
+                }
+
+                const updateData = {};
+                for (const field of UPDATABLE_FIELDS) {
+                    if (req.body[field] !== undefined) {
+                        updateData[field] = req.body[field];
+                    }
+                }
+
+                if (role !== undefined) {
+                    if (!can(req.user, 'users:manage-roles')) {
+                        return res.status(403).json({
+                            success: false,
+                            message: 'Access denied. Only admins can change roles.'
+                        });
+                    }
+                    updateData.role = role;
+                }
+
+                // Organization membership authorizes supply chain participation, so only admins set it
+                if (organization !== undefined) {
+                    if (!can(req.user, 'users:manage-organizations')) {
+                        return res.status(403).json({
+                            success: false,
+                            message: 'Access denied. Only admins can change organizations.'
+                        });
+                    }
+                    updateData.organization = organization;
+                }
                 
                 const user = await User.findOneAndUpdate(
                     { uid },
@@ -79,10 +145,64 @@ export default async function handler(req, res) {
             }
 
         default:
-            res.setHeader('Allow', ['GET', 'PUT']);
+            res.setHeader('Allow', ['GET', 'POST', 'PUT']);
             return res.status(405).json({ 
                 success: false, 
                 message: `Method ${method} not allowed` 
             });
     }
 }
+
+// Generate (or replace) the caller's webhook signing secret. It is returned only once.
+async function handleRotateWebhookSecret(req, res) {
+    try {
+        await new Promise((resolve, reject) => {
+            authenticateToken(req, res, (err) => {
+                if (err) return reject(err);
+                resolve();
+            });
+        });
+    } catch (authError) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required to manage webhook secrets'
+        });
+    }
+
+    // API keys cannot mint the secret that proves webhooks came from us
+    if (req.user.apiKeyId || !can(req.user, 'users:update', { ownerId: req.user.uid })) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied. Log in to manage your webhook secret.'
+        });
+    }
+
+    try {
+        const webhookSecret = generateWebhookSecret();
+        const user = await User.findOneAndUpdate(
+            { uid: req.user.uid },
+            { webhookSecret },
+            { new: true }
+        );
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: { webhookSecret },
+            message: 'Store this secret now; it will not be shown again. Earlier secrets stop working immediately.'
+        });
+    } catch (error) {
+        console.error('Rotate webhook secret error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to generate webhook secret',
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,41 @@
+import { buildDidDocument } from '../../lib/credentials.js';
+
+// Served at /.well-known/did.json so did:web resolvers find the credential signing key
+export default function handler(req, res) {
+    // Enable CORS
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight request
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        res.setHeader('Allow', ['GET']);
+        return res.status(405).json({
+            success: false,
+            message: `Method ${req.method} not allowed`
+        });
+    }
+
+    // Without a configured key there is no identity to publish
+    let didDocument;
+    try {
+        didDocument = buildDidDocument();
+    } catch (error) {
+        if (!error.status) {
+            throw error;
+        }
+        return res.status(error.status).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
+
+    res.setHeader('Content-Type', 'application/did+json');
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    return res.status(200).send(JSON.stringify(didDocument));
+}
@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Product from '../models/Product.js';
+import Payment from '../models/Payment.js';
+import RefreshToken from '../models/RefreshToken.js';
+import ApiKey from '../models/ApiKey.js';
+import AccountMerge from '../models/AccountMerge.js';
+
+// Create an upgrade error carrying an HTTP status and machine-readable code
+function upgradeError(message, code, status = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Upgrade a guest account to a verified Pi account. Everything the guest owns
+ * moves to the Pi account in one transaction, and the guest is retired with an
+ * AccountMerge audit record. Supply chain steps keep the guest uid they were
+ * recorded with, since they are part of the hash chain.
+ * @param {string} guestUid - UID of the authenticated guest
+ * @param {Object} piUser - Verified Pi user ({ uid, username })
+ * @param {Object} options - { walletAddress, ipAddress, userAgent }
+ * @returns {Promise<Object>} { user, merge } with the Pi user and the audit record
+ */
+export async function upgradeGuestAccount(guestUid, piUser, options = {}) {
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+        await session.withTransaction(async () => {
+            const guest = await User.findOne({ uid: guestUid }).session(session);
+            if (!guest || guest.loginType !== 'guest') {
+                throw upgradeError('Only guest accounts can be upgraded', 'NOT_A_GUEST', 409);
+            }
+            if (guest.retiredAt) {
+                throw upgradeError('This guest account was already upgraded', 'GUEST_ALREADY_UPGRADED', 409);
+            }
+
+            let user = await User.findOne({ uid: piUser.uid }).session(session);
+            if (!user) {
+                [user] = await User.create([{
+                    username: piUser.username,
+                    uid: piUser.uid,
+                    walletAddress: options.walletAddress || null,
+                    loginType: 'pi',
+                    lastLogin: new Date()
+                }], { session });
+            } else if (user.loginType !== 'pi') {
+                throw upgradeError('Target account is not a Pi account', 'NOT_A_PI_ACCOUNT', 409);
+            }
+
+            const products = await Product.updateMany(
+                { owner: guestUid },
+                { $set: { owner: user.uid } },
+                { session }
+            );
+            // Pending transfers follow the account on either side
+            const outgoingTransfers = await Product.updateMany(
+                { 'pendingTransfer.from.uid': guestUid },
+                {
+                    $set: {
+                        'pendingTransfer.from.uid': user.uid,
+                        'pendingTransfer.from.username': user.username
+                    }
+                },
+                { session }
+            );
+            const incomingTransfers = await Product.updateMany(
+                { 'pendingTransfer.to.uid': guestUid },
+                {
+                    $set: {
+                        'pendingTransfer.to.uid': user.uid,
+                        'pendingTransfer.to.username': user.username
+                    }
+                },
+                { session }
+            );
+            const payments = await Payment.updateMany(
+                { 'user.uid': guestUid },
+                {
+                    $set: {
+                        'user.uid': user.uid,
+                        'user.username': user.username,
+                        'user.walletAddress': user.walletAddress
+                    }
+                },
+                { session }
+            );
+            const payeePayments = await Payment.updateMany(
+                { 'payee.uid': guestUid },
+                { $set: { 'payee.uid': user.uid } },
+                { session }
+            );
+
+            // Merge product references without duplicates
+            const known = new Set(user.products.map(id => id.toString()));
+            const productRefs = guest.products.filter(id => !known.has(id.toString()));
+            user.products.push(...productRefs);
+            user.lastLogin = new Date();
+            if (options.walletAddress) {
+                user.walletAddress = options.walletAddress;
+            }
+            await user.save({ session });
+
+            // The guest's sessions and keys must not keep acting for the merged data
+            const now = new Date();
+            const refreshTokens = await RefreshToken.updateMany(
+                { uid: guestUid, revokedAt: null },
+                { $set: { revokedAt: now, revokedReason: 'admin' } },
+                { session }
+            );
+            const apiKeys = await ApiKey.updateMany(
+                { uid: guestUid, revokedAt: null },
+                { $set: { revokedAt: now } },
+                { session }
+            );
+
+            guest.products = [];
+            guest.retiredAt = now;
+            guest.mergedInto = user.uid;
+            await guest.save({ session });
+
+            const [merge] = await AccountMerge.create([{
+                fromUid: guest.uid,
+                fromUsername: guest.username,
+                toUid: user.uid,
+                toUsername: user.username,
+                moved: {
+                    products: products.modifiedCount,
+                    pendingTransfers: outgoingTransfers.modifiedCount + incomingTransfers.modifiedCount,
+                    payments: payments.modifiedCount,
+                    payeePayments: payeePayments.modifiedCount,
+                    productRefs: productRefs.length
+                },
+                revoked: {
+                    refreshTokens: refreshTokens.modifiedCount,
+                    apiKeys: apiKeys.modifiedCount
+                },
+                ipAddress: options.ipAddress,
+                userAgent: options.userAgent
+            }], { session });
+
+            result = { user, merge };
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    return result;
+}
+
+export default {
+    upgradeGuestAccount
+};
@@ -1,9 +1,47 @@
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { piPlatform } from './piNetwork.js';
+import RefreshToken from '../models/RefreshToken.js';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
 
 // JWT Secret Key (should be in environment variables)
 const JWT_SECRET = process.env.JWT_SECRET || 'pi-trace-default-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+export const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// API keys are sent in this header instead of a Bearer token
+export const API_KEY_HEADER = 'x-api-key';
+export const API_KEY_PREFIX = 'pt_';
+const API_KEY_LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// How long a verified Pi access token is trusted without asking Pi again
+const PI_AUTH_CACHE_TTL_MS = parseInt(process.env.PI_AUTH_CACHE_TTL_MS) || 5 * 60 * 1000;
+const PI_AUTH_CACHE_MAX_ENTRIES = parseInt(process.env.PI_AUTH_CACHE_MAX_ENTRIES) || 1000;
+const piAuthCache = new Map();
+
+// Drop expired entries, then the oldest ones, so a warm instance's cache stays bounded
+function prunePiAuthCache(now) {
+    for (const [key, entry] of piAuthCache) {
+        if (entry.expiresAt <= now) {
+            piAuthCache.delete(key);
+        }
+    }
+    // Maps iterate in insertion order, so the first keys are the oldest
+    for (const key of piAuthCache.keys()) {
+        if (piAuthCache.size < PI_AUTH_CACHE_MAX_ENTRIES) break;
+        piAuthCache.delete(key);
+    }
+}
+
+// Create an authentication error carrying an HTTP status and machine-readable code
+function authError(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
 
 /**
  * Generate JWT token for user
@@ -11,16 +49,27 @@ const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
  * @param {string} user.uid - User ID
  * @param {string} user.username - Username
  * @param {string} user.loginType - Login type (pi/guest)
+ * @param {string} user.role - User role (user/producer/logistics/auditor/admin)
+ * @param {string} sessionId - Refresh token family the access token belongs to
  * @returns {string} JWT token
  */
-export function generateToken(user) {
+export function generateToken(user, sessionId = null) {
     const payload = {
         uid: user.uid,
         username: user.username,
         loginType: user.loginType,
-        walletAddress: user.walletAddress
+        walletAddress: user.walletAddress,
+        role: user.role || 'user'
     };
 
+    if (user.organization) {
+        payload.organization = user.organization;
+    }
+
+    if (sessionId) {
+        payload.sid = sessionId;
+    }
+
     return jwt.sign(payload, JWT_SECRET, {
         expiresIn: JWT_EXPIRES_IN,
         issuer: 'pi-trace-backend',
@@ -41,15 +90,92 @@ export function verifyToken(token) {
     }
 }
 
+/**
+ * Check whether the session (refresh token family) of an access token was revoked
+ * @param {Object} decoded - Decoded access token
+ * @returns {Promise<boolean>} True if revoked
+ */
+export async function isTokenRevoked(decoded) {
+    if (!decoded.sid) {
+        return false;
+    }
+    return Boolean(await RefreshToken.exists({ family: decoded.sid, revokedAt: { $ne: null } }));
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} apiKey - Raw API key
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Resolve the user an API key acts for
+ * @param {string} apiKey - Raw API key
+ * @returns {Promise<Object|null>} Request user with the key's scopes, or null if invalid
+ */
+export async function authenticateApiKey(apiKey) {
+    const key = await ApiKey.findOne({ keyHash: hashApiKey(apiKey), revokedAt: null });
+    if (!key) {
+        return null;
+    }
+
+    const user = await User.findOne({ uid: key.uid });
+    if (!user) {
+        return null;
+    }
+
+    // Track usage without writing on every request
+    const now = new Date();
+    if (!key.lastUsedAt || now - key.lastUsedAt > API_KEY_LAST_USED_RESOLUTION_MS) {
+        await ApiKey.updateOne({ _id: key._id }, { $set: { lastUsedAt: now } });
+    }
+
+    return {
+        uid: user.uid,
+        username: user.username,
+        loginType: user.loginType,
+        walletAddress: user.walletAddress,
+        role: user.role,
+        organization: user.organization,
+        apiKeyId: key._id.toString(),
+        scopes: key.scopes
+    };
+}
+
 /**
  * Middleware to authenticate requests
+ * Accepts a Bearer JWT or an API key in the X-API-Key header
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  * @param {Function} next - Next middleware
  */
-export function authenticateToken(req, res, next) {
+export async function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const apiKey = req.headers[API_KEY_HEADER];
+
+    if (!token && apiKey) {
+        try {
+            const keyUser = await authenticateApiKey(apiKey);
+            if (!keyUser) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Invalid or revoked API key'
+                });
+            }
+            req.user = keyUser;
+            return next();
+        } catch (error) {
+            console.error('API key authentication error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to authenticate request'
+            });
+        }
+    }
 
     if (!token) {
         return res.status(401).json({
@@ -58,16 +184,34 @@ export function authenticateToken(req, res, next) {
         });
     }
 
+    let decoded;
     try {
-        const decoded = verifyToken(token);
-        req.user = decoded;
-        next();
+        decoded = verifyToken(token);
     } catch (error) {
         return res.status(403).json({
             success: false,
             message: 'Invalid or expired token'
         });
     }
+
+    try {
+        if (await isTokenRevoked(decoded)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Token has been revoked',
+                code: 'TOKEN_REVOKED'
+            });
+        }
+    } catch (error) {
+        console.error('Token revocation check error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to authenticate request'
+        });
+    }
+
+    req.user = decoded;
+    next();
 }
 
 /**
@@ -76,14 +220,22 @@ export function authenticateToken(req, res, next) {
  * @param {Object} res - Express response
  * @param {Function} next - Next middleware
  */
-export function optionalAuth(req, res, next) {
+export async function optionalAuth(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
+    const apiKey = req.headers[API_KEY_HEADER];
 
-    if (token) {
+    if (!token && apiKey) {
+        try {
+            req.user = await authenticateApiKey(apiKey);
+        } catch (error) {
+            // Continue without user info if the key can't be checked
+            req.user = null;
+        }
+    } else if (token) {
         try {
             const decoded = verifyToken(token);
-            req.user = decoded;
+            req.user = await isTokenRevoked(decoded) ? null : decoded;
         } catch (error) {
             // Continue without user info if token is invalid
             req.user = null;
@@ -93,6 +245,166 @@ export function optionalAuth(req, res, next) {
     next();
 }
 
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Create and store a refresh token in a token family
+ * @param {Object} user - User object
+ * @param {string} family - Token family (session ID)
+ * @param {Object} meta - Request metadata ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} Raw refresh token and its expiry
+ */
+async function createRefreshToken(user, family, meta = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+    await RefreshToken.create({
+        tokenHash: hashRefreshToken(refreshToken),
+        uid: user.uid,
+        family,
+        expiresAt,
+        ipAddress: meta.ipAddress,
+        userAgent: meta.userAgent
+    });
+
+    return { refreshToken, refreshExpiresAt: expiresAt };
+}
+
+/**
+ * Issue a short-lived access token and a refresh token starting a new session
+ * @param {Object} user - User object
+ * @param {Object} meta - Request metadata ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} Token pair
+ */
+export async function issueTokens(user, meta = {}) {
+    const family = crypto.randomUUID();
+    const { refreshToken, refreshExpiresAt } = await createRefreshToken(user, family, meta);
+
+    return {
+        token: generateToken(user, family),
+        expiresIn: JWT_EXPIRES_IN,
+        refreshToken,
+        refreshExpiresAt
+    };
+}
+
+/**
+ * Exchange a refresh token for a new token pair. The old refresh token is
+ * rotated out; presenting a rotated token again revokes its whole family.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} meta - Request metadata ({ ipAddress, userAgent })
+ * @returns {Promise<Object>} New token pair and the user
+ */
+export async function rotateRefreshToken(refreshToken, meta = {}) {
+    const tokenHash = hashRefreshToken(refreshToken);
+    const now = new Date();
+
+    // Claim the token atomically so two concurrent refreshes can't both succeed
+    const stored = await RefreshToken.findOneAndUpdate(
+        { tokenHash, rotatedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+        { $set: { rotatedAt: now } },
+        { new: true }
+    );
+
+    if (!stored) {
+        const existing = await RefreshToken.findOne({ tokenHash });
+
+        if (existing && existing.rotatedAt && !existing.revokedAt) {
+            await revokeTokenFamily(existing.family, 'reuse_detected');
+            throw authError('Refresh token reuse detected. Please log in again.', 'REFRESH_TOKEN_REUSED', 401);
+        }
+
+        throw authError('Invalid or expired refresh token', 'REFRESH_TOKEN_INVALID', 401);
+    }
+
+    const user = await User.findOne({ uid: stored.uid });
+    if (!user) {
+        await revokeTokenFamily(stored.family, 'admin');
+        throw authError('User no longer exists', 'REFRESH_TOKEN_INVALID', 401);
+    }
+
+    const rotated = await createRefreshToken(user, stored.family, meta);
+
+    return {
+        user,
+        token: generateToken(user, stored.family),
+        expiresIn: JWT_EXPIRES_IN,
+        refreshToken: rotated.refreshToken,
+        refreshExpiresAt: rotated.refreshExpiresAt
+    };
+}
+
+/**
+ * Revoke every refresh token in a family, which also revokes its access tokens
+ * @param {string} family - Token family (session ID)
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+export async function revokeTokenFamily(family, reason = 'logout') {
+    const result = await RefreshToken.updateMany(
+        { family, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+}
+
+/**
+ * Revoke every session and API key of a user
+ * @param {string} uid - User ID
+ * @param {string} reason - Revocation reason for the refresh tokens
+ * @returns {Promise<number>} Number of tokens and keys revoked
+ */
+export async function revokeUserSessions(uid, reason = 'admin') {
+    const now = new Date();
+    const tokens = await RefreshToken.updateMany(
+        { uid, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: reason } }
+    );
+    const keys = await ApiKey.updateMany(
+        { uid, revokedAt: null },
+        { $set: { revokedAt: now } }
+    );
+    return tokens.modifiedCount + keys.modifiedCount;
+}
+
+/**
+ * Find a refresh token that can still be used: not rotated, revoked or expired
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<Object|null>} Stored token, or null
+ */
+export async function findActiveRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        return null;
+    }
+    return await RefreshToken.findOne({
+        tokenHash: hashRefreshToken(refreshToken),
+        rotatedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+}
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<boolean>} True if a session was found
+ */
+export async function revokeRefreshToken(refreshToken) {
+    const stored = await RefreshToken.findOne({ tokenHash: hashRefreshToken(refreshToken) });
+    if (!stored) {
+        return false;
+    }
+    await revokeTokenFamily(stored.family, 'logout');
+    return true;
+}
+
 /**
  * Generate hash for passwords (if needed in future)
  * @param {string} password - Plain text password
@@ -114,15 +426,15 @@ export async function comparePassword(password, hash) {
 }
 
 /**
- * Generate random API key
- * @param {number} length - Key length
+ * Generate random API key using a cryptographically secure generator
+ * @param {number} length - Key length (excluding the prefix)
  * @returns {string} Random API key
  */
 export function generateApiKey(length = 32) {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    let result = '';
+    let result = API_KEY_PREFIX;
     for (let i = 0; i < length; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
+        result += chars.charAt(crypto.randomInt(chars.length));
     }
     return result;
 }
@@ -141,12 +453,52 @@ export function validatePiAuth(authData) {
     return requiredFields.every(field => authData[field]);
 }
 
+/**
+ * Verify a Pi access token against the Pi Platform /me endpoint
+ * Successful verifications are cached briefly, keyed by a hash of the token
+ * @param {Object} authData - Pi Network auth data
+ * @param {string} authData.uid - Pi user ID claimed by the client
+ * @param {string} authData.accessToken - Pi access token from the Pi SDK
+ * @returns {Promise<Object>} Verified Pi user ({ uid, username })
+ */
+export async function verifyPiAuth(authData) {
+    const cacheKey = crypto.createHash('sha256').update(authData.accessToken).digest('hex');
+    const now = Date.now();
+
+    let piUser = null;
+    const cached = piAuthCache.get(cacheKey);
+    if (cached && cached.expiresAt > now) {
+        piUser = cached.user;
+    } else {
+        piAuthCache.delete(cacheKey);
+
+        try {
+            const me = await piPlatform.getMe(authData.accessToken);
+            piUser = { uid: me.uid, username: me.username };
+        } catch (error) {
+            if (error.status === 401) {
+                throw authError('Invalid or expired Pi access token', 'PI_TOKEN_INVALID', 401);
+            }
+            throw error;
+        }
+
+        prunePiAuthCache(now);
+        piAuthCache.set(cacheKey, { user: piUser, expiresAt: now + PI_AUTH_CACHE_TTL_MS });
+    }
+
+    if (piUser.uid !== authData.uid) {
+        throw authError('Pi access token does not belong to this user', 'PI_UID_MISMATCH', 401);
+    }
+
+    return piUser;
+}
+
 /**
  * Generate guest user ID
  * @returns {string} Guest user ID
  */
 export function generateGuestId() {
-    return `guest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return `guest_${crypto.randomBytes(16).toString('hex')}`;
 }
 
 /**
@@ -165,7 +517,7 @@ export function hasPermission(user, resourceOwnerId) {
         return true;
     }
 
-    // Admin users can access all resources (if implemented)
+    // Admin users can access all resources
     if (user.role === 'admin') {
         return true;
     }
@@ -195,57 +547,44 @@ export function sanitizeUser(user) {
 }
 
 /**
- * Rate limiting helper (simple in-memory implementation)
- * For production, use Redis or dedicated rate limiting middleware
+ * Check that a request comes from the scheduler (Vercel Cron or a CLI runner)
+ * @param {Object} req - Request with an Authorization: Bearer CRON_SECRET header
+ * @returns {boolean} True if the cron secret matches
  */
-export class RateLimiter {
-    constructor(maxRequests, windowMs) {
-        this.maxRequests = maxRequests;
-        this.windowMs = windowMs;
-        this.requests = new Map();
-    }
-
-    check(identifier) {
-        const now = Date.now();
-        const windowStart = now - this.windowMs;
-
-        // Clean old entries
-        for (const [key, timestamp] of this.requests.entries()) {
-            if (timestamp < windowStart) {
-                this.requests.delete(key);
-            }
-        }
-
-        const userRequests = Array.from(this.requests.entries())
-            .filter(([key]) => key.startsWith(identifier))
-            .map(([, timestamp]) => timestamp)
-            .filter(timestamp => timestamp > windowStart);
-
-        if (userRequests.length >= this.maxRequests) {
-            return false; // Rate limit exceeded
-        }
+export function verifyCronRequest(req) {
+    const secret = process.env.CRON_SECRET;
+    const authHeader = req.headers['authorization'];
 
-        this.requests.set(`${identifier}_${now}`, now);
-        return true; // Within rate limit
+    if (!secret || !authHeader) {
+        return false;
     }
-}
 
-// Create rate limiter instances
-export const authRateLimiter = new RateLimiter(5, 15 * 60 * 1000); // 5 attempts per 15 minutes
-export const apiRateLimiter = new RateLimiter(100, 60 * 60 * 1000); // 100 requests per hour
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const actual = Buffer.from(authHeader);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
 
 export default {
     generateToken,
     verifyToken,
+    isTokenRevoked,
     authenticateToken,
     optionalAuth,
+    hashApiKey,
+    authenticateApiKey,
     hashPassword,
     comparePassword,
+    issueTokens,
+    rotateRefreshToken,
+    revokeTokenFamily,
+    revokeUserSessions,
+    findActiveRefreshToken,
+    revokeRefreshToken,
     generateApiKey,
     validatePiAuth,
+    verifyPiAuth,
     generateGuestId,
     hasPermission,
     sanitizeUser,
-    authRateLimiter,
-    apiRateLimiter
+    verifyCronRequest
 };
@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import { toPublicStep } from '../models/Product.js';
+import { toEpcUri } from './epcis.js';
+
+export const VC_CONTEXT = 'https://www.w3.org/ns/credentials/v2';
+export const PROOF_TYPE = 'DataIntegrityProof';
+export const CRYPTOSUITE = 'eddsa-jcs-2022';
+export const CREDENTIAL_TYPE = 'ProductProvenanceCredential';
+
+// Issuer identity and signing key (must be in environment variables).
+// VC_PRIVATE_KEY is a PKCS#8 PEM Ed25519 key; without it a key is derived from VC_SIGNING_SECRET.
+// With neither set, credentials are neither issued nor verified.
+const VC_ISSUER_DID = process.env.VC_ISSUER_DID || 'did:web:localhost%3A3000';
+const VC_PRIVATE_KEY = process.env.VC_PRIVATE_KEY;
+const VC_SIGNING_SECRET = process.env.VC_SIGNING_SECRET;
+const VC_KEY_ID = `${VC_ISSUER_DID}#key-1`;
+
+// DER prefix of a PKCS#8 Ed25519 private key; the 32-byte seed follows it
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+let signingKey = null;
+
+// Create a credential error carrying an HTTP status and machine-readable code
+function credentialError(message, code, status = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+// Load the signing key pair once per process
+function getSigningKey() {
+    if (!VC_PRIVATE_KEY && !VC_SIGNING_SECRET) {
+        throw credentialError(
+            'Credential signing key is not configured',
+            'SIGNING_KEY_NOT_CONFIGURED',
+            503
+        );
+    }
+    if (!signingKey) {
+        const privateKey = VC_PRIVATE_KEY
+            ? crypto.createPrivateKey(VC_PRIVATE_KEY.replace(/\\n/g, '\n'))
+            : crypto.createPrivateKey({
+                key: Buffer.concat([
+                    ED25519_PKCS8_PREFIX,
+                    crypto.createHash('sha256').update(VC_SIGNING_SECRET).digest()
+                ]),
+                format: 'der',
+                type: 'pkcs8'
+            });
+        signingKey = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+    }
+    return signingKey;
+}
+
+/**
+ * Serialize JSON canonically (RFC 8785 JCS): object keys sorted, no whitespace,
+ * undefined properties left out
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON
+ */
+export function canonicalizeJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => (item === undefined ? 'null' : canonicalizeJson(item))).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalizeJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Multibase base58btc ('z' prefix) encoding used for proof values
+function toBase58btc(bytes) {
+    let number = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+    let encoded = '';
+    while (number > 0n) {
+        encoded = BASE58_ALPHABET[Number(number % 58n)] + encoded;
+        number /= 58n;
+    }
+    for (const byte of bytes) {
+        if (byte !== 0) break;
+        encoded = `1${encoded}`;
+    }
+    return `z${encoded}`;
+}
+
+function fromBase58btc(value) {
+    if (typeof value !== 'string' || !value.startsWith('z')) {
+        return null;
+    }
+    let number = 0n;
+    for (const char of value.slice(1)) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) return null;
+        number = number * 58n + BigInt(digit);
+    }
+    let hex = number.toString(16);
+    if (hex.length % 2) hex = `0${hex}`;
+    const leadingZeros = value.slice(1).match(/^1*/)[0].length;
+    return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(number > 0n ? hex : '', 'hex')]);
+}
+
+// eddsa-jcs-2022: sign sha256(JCS(proof options)) || sha256(JCS(credential))
+function hashForProof(credential, proofOptions) {
+    const sha256 = (text) => crypto.createHash('sha256').update(text).digest();
+    return Buffer.concat([sha256(canonicalizeJson(proofOptions)), sha256(canonicalizeJson(credential))]);
+}
+
+/**
+ * Describe a product's current provenance as a credential subject
+ * @param {Object} product - Product document
+ * @param {Object} owner - Owner user ({ username }), if found
+ * @returns {Object} credentialSubject
+ */
+export function buildProvenanceSubject(product, owner = null) {
+    const verification = product.verifySupplyChain();
+
+    // Round-trip through JSON so dates and ObjectIds compare as they are serialized
+    return JSON.parse(JSON.stringify({
+        id: toEpcUri(product.hash),
+        hash: product.hash,
+        name: product.name,
+        category: product.category,
+        // Only the username; uids stay out of public data
+        owner: { name: owner?.username || null },
+        origin: {
+            country: product.origin?.country || null,
+            city: product.origin?.city || null,
+            geo: product.origin?.geo || null
+        },
+        supplyChain: product.supplyChain.map(toPublicStep),
+        supplyChainHead: verification.headHash,
+        chainIntact: verification.valid
+    }));
+}
+
+/**
+ * Issue a signed provenance credential for a product
+ * @param {Object} product - Product document
+ * @param {Object} owner - Owner user ({ username }), if found
+ * @returns {Object} Verifiable Credential with a Data Integrity proof
+ * @throws {Error} SIGNING_KEY_NOT_CONFIGURED (503)
+ */
+export function issueProvenanceCredential(product, owner = null) {
+    const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    const credential = {
+        '@context': [VC_CONTEXT],
+        id: `urn:uuid:${crypto.randomUUID()}`,
+        type: ['VerifiableCredential', CREDENTIAL_TYPE],
+        issuer: VC_ISSUER_DID,
+        validFrom: now,
+        credentialSubject: buildProvenanceSubject(product, owner)
+    };
+
+    const proofOptions = {
+        '@context': credential['@context'],
+        type: PROOF_TYPE,
+        cryptosuite: CRYPTOSUITE,
+        created: now,
+        verificationMethod: VC_KEY_ID,
+        proofPurpose: 'assertionMethod'
+    };
+
+    const signature = crypto.sign(null, hashForProof(credential, proofOptions), getSigningKey().privateKey);
+    const { '@context': _context, ...proof } = proofOptions;
+
+    return { ...credential, proof: { ...proof, proofValue: toBase58btc(signature) } };
+}
+
+/**
+ * Check a credential's proof against our public key
+ * @param {Object} credential - Verifiable Credential
+ * @returns {Object} { valid, reason }
+ * @throws {Error} SIGNING_KEY_NOT_CONFIGURED (503)
+ */
+export function verifyCredentialSignature(credential) {
+    const { publicKey } = getSigningKey();
+    const proof = credential?.proof;
+    if (!proof || Array.isArray(proof)) {
+        return { valid: false, reason: 'missing_proof' };
+    }
+    if (proof.type !== PROOF_TYPE || proof.cryptosuite !== CRYPTOSUITE) {
+        return { valid: false, reason: 'unsupported_proof' };
+    }
+    if (proof.verificationMethod !== VC_KEY_ID || credential.issuer !== VC_ISSUER_DID) {
+        return { valid: false, reason: 'unknown_issuer' };
+    }
+
+    const signature = fromBase58btc(proof.proofValue);
+    if (!signature || signature.length !== 64) {
+        return { valid: false, reason: 'malformed_proof_value' };
+    }
+
+    const { proof: _proof, ...unsecured } = credential;
+    const { proofValue: _proofValue, ...proofOptions } = proof;
+    const valid = crypto.verify(
+        null,
+        hashForProof(unsecured, { ...proofOptions, '@context': credential['@context'] }),
+        publicKey,
+        signature
+    );
+
+    return { valid, reason: valid ? null : 'signature_mismatch' };
+}
+
+/**
+ * Compare a credential's subject with a product's current provenance
+ * @param {Object} subject - credentialSubject from the credential
+ * @param {Object} current - Subject built from current data
+ * @returns {Array<string>} Subject fields that changed since issuance
+ */
+export function diffProvenanceSubject(subject, current) {
+    const fields = new Set([...Object.keys(subject || {}), ...Object.keys(current)]);
+    return [...fields].filter(field =>
+        canonicalizeJson(subject?.[field] ?? null) !== canonicalizeJson(current[field] ?? null)
+    );
+}
+
+/**
+ * DID document publishing the issuer's public key
+ * @returns {Object} DID document
+ * @throws {Error} SIGNING_KEY_NOT_CONFIGURED (503)
+ */
+export function buildDidDocument() {
+    const publicKeyJwk = getSigningKey().publicKey.export({ format: 'jwk' });
+
+    return {
+        '@context': ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/suites/jws-2020/v1'],
+        id: VC_ISSUER_DID,
+        verificationMethod: [{
+            id: VC_KEY_ID,
+            type: 'JsonWebKey2020',
+            controller: VC_ISSUER_DID,
+            publicKeyJwk
+        }],
+        assertionMethod: [VC_KEY_ID]
+    };
+}
+
+export default {
+    VC_CONTEXT,
+    PROOF_TYPE,
+    CRYPTOSUITE,
+    CREDENTIAL_TYPE,
+    canonicalizeJson,
+    buildProvenanceSubject,
+    issueProvenanceCredential,
+    verifyCredentialSignature,
+    diffProvenanceSubject,
+    buildDidDocument
+};
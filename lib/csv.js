@@ -0,0 +1,113 @@
+// Header segments that would reach Object.prototype instead of a row field
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Create a CSV error carrying an HTTP status and machine-readable code
+function csvError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CSV';
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Split CSV text into records of fields (RFC 4180: quoted fields may hold
+ * commas, doubled quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Records
+ */
+export function parseCSVRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let index = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Skip a byte order mark
+
+    for (; index < text.length; index++) {
+        const char = text[index];
+
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') {
+                index++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw csvError('Unterminated quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Blank lines carry no data
+    return records.filter(fields => fields.length > 1 || fields[0].trim() !== '');
+}
+
+/**
+ * Parse CSV with a header row into objects. Dotted headers such as
+ * `origin.country` become nested fields; empty cells are left out.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row
+ */
+export function parseCSV(text) {
+    const [header, ...records] = parseCSVRecords(String(text));
+    if (!header) {
+        return [];
+    }
+
+    const columns = header.map(column => column.trim());
+    if (columns.some(column => !column)) {
+        throw csvError('Header row has an empty column name');
+    }
+    const unsafe = columns.find(column => column.split('.').some(key => UNSAFE_KEYS.includes(key)));
+    if (unsafe) {
+        throw csvError(`Header column "${unsafe}" is not allowed`);
+    }
+
+    return records.map((fields, recordIndex) => {
+        if (fields.length !== columns.length) {
+            throw csvError(`Row ${recordIndex + 1} has ${fields.length} fields, expected ${columns.length}`);
+        }
+
+        const row = {};
+        columns.forEach((column, index) => {
+            const value = fields[index].trim();
+            if (value === '') return;
+
+            const path = column.split('.');
+            let target = row;
+            for (const key of path.slice(0, -1)) {
+                target[key] = Object.hasOwn(target, key) && target[key] && typeof target[key] === 'object' ? target[key] : {};
+                target = target[key];
+            }
+            target[path[path.length - 1]] = value;
+        });
+        return row;
+    });
+}
+
+export default {
+    parseCSVRecords,
+    parseCSV
+};
@@ -0,0 +1,337 @@
+import Product from '../models/Product.js';
+import { toGeoPoint } from './geo.js';
+
+export const EPCIS_CONTEXT = 'https://ref.gs1.org/standards/epcis/2.0.0/epcis-context.jsonld';
+export const EPCIS_SCHEMA_VERSION = '2.0';
+
+// URI prefixes for our identifiers and the JSON-LD namespace of our extension fields
+const EPC_PREFIX = process.env.EPCIS_EPC_PREFIX || 'urn:pitrace:product:';
+const LOCATION_PREFIX = process.env.EPCIS_LOCATION_PREFIX || 'urn:pitrace:location:';
+const EVENT_PREFIX = process.env.EPCIS_EVENT_PREFIX || 'urn:pitrace:event:';
+const EXTENSION_NAMESPACE = process.env.EPCIS_NAMESPACE || 'urn:pitrace:epcis:';
+
+export const EPCIS_MAX_EVENTS = parseInt(process.env.EPCIS_MAX_EVENTS) || 1000;
+
+// CBV business step and disposition for each supply chain stage
+export const STAGE_TO_EPCIS = {
+    manufactured: { action: 'ADD', bizStep: 'commissioning', disposition: 'active' },
+    shipped: { action: 'OBSERVE', bizStep: 'shipping', disposition: 'in_transit' },
+    in_transit: { action: 'OBSERVE', bizStep: 'transporting', disposition: 'in_transit' },
+    delivered: { action: 'OBSERVE', bizStep: 'receiving', disposition: 'in_progress' }
+};
+
+// Business steps other systems commonly send for the same stages
+const BIZ_STEP_TO_STAGE = {
+    commissioning: 'manufactured',
+    shipping: 'shipped',
+    departing: 'shipped',
+    transporting: 'in_transit',
+    arriving: 'in_transit',
+    receiving: 'delivered',
+    accepting: 'delivered'
+};
+
+// Create an EPCIS error carrying an HTTP status and machine-readable code
+function epcisError(message, code = 'INVALID_EPCIS_EVENT', status = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+/**
+ * EPC URI identifying a product
+ * @param {string} hash - Product hash
+ * @returns {string} EPC URI
+ */
+export function toEpcUri(hash) {
+    return `${EPC_PREFIX}${encodeURIComponent(hash)}`;
+}
+
+/**
+ * Product hash from one of our EPC URIs
+ * @param {string} epc - EPC URI
+ * @returns {string|null} Product hash, or null for EPCs we didn't issue
+ */
+export function hashFromEpc(epc) {
+    return typeof epc === 'string' && epc.startsWith(EPC_PREFIX)
+        ? decodeURIComponent(epc.slice(EPC_PREFIX.length))
+        : null;
+}
+
+// Read point for a step: a geo URI when located, otherwise the place name
+function toReadPoint(step) {
+    if (step.geo?.coordinates?.length) {
+        const [lng, lat] = step.geo.coordinates;
+        return { id: `geo:${lat},${lng}` };
+    }
+    return step.location ? { id: `${LOCATION_PREFIX}${encodeURIComponent(step.location)}` } : undefined;
+}
+
+// Location fields for a step from an event's read point
+function fromReadPoint(event) {
+    const id = event.readPoint?.id;
+    const name = event['pitrace:location'];
+
+    const geoMatch = typeof id === 'string' && id.match(/^geo:(-?[\d.]+),(-?[\d.]+)/);
+    if (geoMatch) {
+        return { location: name || undefined, geo: toGeoPoint({ lat: geoMatch[1], lng: geoMatch[2] }) };
+    }
+    if (typeof id === 'string' && id.startsWith(LOCATION_PREFIX)) {
+        return { location: name || decodeURIComponent(id.slice(LOCATION_PREFIX.length)) };
+    }
+    return { location: name || id || undefined };
+}
+
+// Accept bare CBV terms as well as their URI forms
+function toCbvTerm(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    return value
+        .replace(/^https:\/\/ref\.gs1\.org\/cbv\/(BizStep|Disp)-/, '')
+        .replace(/^urn:epcglobal:cbv:(bizstep|disp):/, '');
+}
+
+/**
+ * Render a supply chain step as an EPCIS 2.0 ObjectEvent
+ * @param {Object} product - Product the step belongs to
+ * @param {Object} step - Supply chain step
+ * @returns {Object} ObjectEvent
+ */
+export function toObjectEvent(product, step) {
+    const mapping = STAGE_TO_EPCIS[step.stage];
+
+    const event = {
+        type: 'ObjectEvent',
+        eventID: step.eventId || `${EVENT_PREFIX}${step.hash}`,
+        eventTime: new Date(step.timestamp).toISOString(),
+        eventTimeZoneOffset: '+00:00',
+        recordTime: step.recordedAt ? new Date(step.recordedAt).toISOString() : undefined,
+        epcList: [toEpcUri(product.hash)],
+        action: mapping.action,
+        bizStep: mapping.bizStep,
+        disposition: mapping.disposition,
+        readPoint: toReadPoint(step),
+        'pitrace:stage': step.stage,
+        'pitrace:location': step.location || undefined,
+        'pitrace:description': step.description || undefined,
+        'pitrace:status': step.status,
+        'pitrace:recordedBy': step.recordedBy?.username || undefined,
+        'pitrace:attestedBy': step.attestation?.party || 'owner',
+        'pitrace:stepHash': step.hash,
+        'pitrace:previousHash': step.previousHash
+    };
+
+    // Leave out empty optional fields rather than sending nulls
+    return JSON.parse(JSON.stringify(event));
+}
+
+/**
+ * Wrap events in an EPCIS 2.0 JSON-LD document, oldest event first
+ * @param {Array<Object>} events - EPCIS events
+ * @returns {Object} EPCISDocument
+ */
+export function buildEPCISDocument(events) {
+    return {
+        '@context': [EPCIS_CONTEXT, { pitrace: EXTENSION_NAMESPACE }],
+        type: 'EPCISDocument',
+        schemaVersion: EPCIS_SCHEMA_VERSION,
+        creationDate: new Date().toISOString(),
+        epcisBody: {
+            eventList: [...events].sort((a, b) => new Date(a.eventTime) - new Date(b.eventTime))
+        }
+    };
+}
+
+/**
+ * Render one product's supply chain as an EPCIS document
+ * @param {Object} product - Product document
+ * @returns {Object} EPCISDocument
+ */
+export function exportProduct(product) {
+    return buildEPCISDocument(product.supplyChain.map(step => toObjectEvent(product, step)));
+}
+
+/**
+ * Render the steps recorded in a date range across an owner's products
+ * @param {string} owner - Owner UID
+ * @param {Object} range - { from, to } dates (either may be omitted)
+ * @returns {Promise<Object>} EPCISDocument
+ */
+export async function exportOwnerEvents(owner, { from, to } = {}) {
+    const inRange = (timestamp) => (!from || timestamp >= from) && (!to || timestamp <= to);
+
+    const timeFilter = {};
+    if (from) timeFilter.$gte = from;
+    if (to) timeFilter.$lte = to;
+
+    const query = { owner };
+    if (from || to) {
+        query.supplyChain = { $elemMatch: { timestamp: timeFilter } };
+    }
+
+    const events = [];
+    const products = Product.find(query).select('hash supplyChain').cursor();
+    for await (const product of products) {
+        for (const step of product.supplyChain) {
+            if (!inRange(step.timestamp)) continue;
+            if (events.length >= EPCIS_MAX_EVENTS) {
+                throw epcisError(
+                    `Export has more than ${EPCIS_MAX_EVENTS} events. Narrow the date range.`,
+                    'EXPORT_TOO_LARGE',
+                    413
+                );
+            }
+            events.push(toObjectEvent(product, step));
+        }
+    }
+
+    return buildEPCISDocument(events);
+}
+
+/**
+ * Turn an ObjectEvent into the supply chain step it describes
+ * @param {Object} event - EPCIS ObjectEvent
+ * @returns {Object} { hashes, step } with the product hashes it applies to
+ */
+export function fromObjectEvent(event) {
+    if (event?.type !== 'ObjectEvent') {
+        throw epcisError(`Unsupported event type: ${event?.type}`, 'UNSUPPORTED_EVENT_TYPE');
+    }
+
+    const hashes = (event.epcList || []).map(hashFromEpc).filter(Boolean);
+    if (hashes.length === 0) {
+        throw epcisError('Event has no EPC issued by this system', 'UNKNOWN_EPC');
+    }
+
+    const stage = STAGE_TO_EPCIS[event['pitrace:stage']]
+        ? event['pitrace:stage']
+        : BIZ_STEP_TO_STAGE[toCbvTerm(event.bizStep)];
+    if (!stage) {
+        throw epcisError(`Unsupported business step: ${event.bizStep}`, 'UNSUPPORTED_BIZ_STEP');
+    }
+
+    if (!event.eventTime || isNaN(new Date(event.eventTime).getTime())) {
+        throw epcisError('Event has no valid eventTime');
+    }
+
+    // Text fields are stored (and hashed) as given, so anything else is rejected here
+    for (const field of ['eventID', 'pitrace:location', 'pitrace:description', 'pitrace:status']) {
+        if (event[field] !== undefined && event[field] !== null && typeof event[field] !== 'string') {
+            throw epcisError(`${field} must be a string`);
+        }
+    }
+
+    return {
+        hashes: [...new Set(hashes)],
+        step: {
+            stage,
+            ...fromReadPoint(event),
+            description: event['pitrace:description'],
+            status: event['pitrace:status'],
+            timestamp: event.eventTime,
+            eventId: event.eventID
+        }
+    };
+}
+
+/**
+ * Append the ObjectEvents of an EPCIS document to our products' supply chains,
+ * oldest first. Each event is checked against the same permissions and stage
+ * rules as a single append; events already imported are reported as duplicates.
+ * @param {Object} document - EPCISDocument
+ * @param {Object} user - Authenticated user recording the steps
+ * @returns {Promise<Object>} Per-event report
+ */
+export async function importEPCISDocument(document, user) {
+    const eventList = document?.epcisBody?.eventList;
+    if (document?.type !== 'EPCISDocument' || !Array.isArray(eventList)) {
+        throw epcisError('Body must be an EPCISDocument with epcisBody.eventList', 'INVALID_EPCIS_DOCUMENT');
+    }
+    if (eventList.length > EPCIS_MAX_EVENTS) {
+        throw epcisError(`A document can hold at most ${EPCIS_MAX_EVENTS} events`, 'IMPORT_TOO_LARGE', 413);
+    }
+
+    const ordered = eventList
+        .map((event, index) => ({ event, index }))
+        .sort((a, b) => new Date(a.event?.eventTime) - new Date(b.event?.eventTime));
+
+    const rows = [];
+    for (const { event, index } of ordered) {
+        let parsed;
+        try {
+            parsed = fromObjectEvent(event);
+        } catch (error) {
+            rows.push({
+                index,
+                eventID: event?.eventID || null,
+                status: 'invalid',
+                code: error.code,
+                message: error.message
+            });
+            continue;
+        }
+
+        for (const hash of parsed.hashes) {
+            const row = { index, eventID: event.eventID || null, productHash: hash };
+            try {
+                const product = await Product.findOne({ hash });
+                if (!product) {
+                    throw epcisError('Product not found', 'PRODUCT_NOT_FOUND', 404);
+                }
+
+                const eventId = parsed.step.eventId;
+                const stepHash = event['pitrace:stepHash'];
+                if (product.supplyChain.some(step =>
+                    (eventId && step.eventId === eventId) || (stepHash && step.hash === stepHash) ||
+                    (eventId && `${EVENT_PREFIX}${step.hash}` === eventId))) {
+                    rows.push({ ...row, status: 'duplicate' });
+                    continue;
+                }
+
+                const attestation = product.resolveAttestation(user, parsed.step.stage);
+                if (!attestation) {
+                    throw epcisError('Not authorized to record this stage for this product', 'FORBIDDEN', 403);
+                }
+
+                const updated = await product.appendSupplyChainStep(parsed.step, user, attestation);
+                rows.push({ ...row, status: 'imported', stepHash: updated.lastSupplyChainStep().hash });
+            } catch (error) {
+                // Schema errors are bad input too; report them rather than failing the whole import
+                if (error.name === 'ValidationError' || error.name === 'CastError') {
+                    rows.push({ ...row, status: 'invalid', code: 'INVALID_EPCIS_EVENT', message: error.message });
+                    continue;
+                }
+                if (!error.status) {
+                    throw error;
+                }
+                rows.push({ ...row, status: 'invalid', code: error.code, message: error.message });
+            }
+        }
+    }
+
+    rows.sort((a, b) => a.index - b.index);
+    return {
+        total: eventList.length,
+        imported: rows.filter(row => row.status === 'imported').length,
+        duplicates: rows.filter(row => row.status === 'duplicate').length,
+        invalid: rows.filter(row => row.status === 'invalid').length,
+        events: rows
+    };
+}
+
+export default {
+    EPCIS_CONTEXT,
+    EPCIS_SCHEMA_VERSION,
+    EPCIS_MAX_EVENTS,
+    STAGE_TO_EPCIS,
+    toEpcUri,
+    hashFromEpc,
+    toObjectEvent,
+    buildEPCISDocument,
+    exportProduct,
+    exportOwnerEvents,
+    fromObjectEvent,
+    importEPCISDocument
+};
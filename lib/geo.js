@@ -0,0 +1,143 @@
+// Mean Earth radius used by MongoDB's spherical queries, in meters
+export const EARTH_RADIUS_METERS = 6378100;
+export const MAX_SEARCH_RADIUS_METERS = parseInt(process.env.MAX_SEARCH_RADIUS_METERS) || 500000;
+
+// Create a location error carrying an HTTP status and machine-readable code
+function geoError(message, code = 'INVALID_LOCATION') {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 400;
+    return error;
+}
+
+function isValidPosition(lng, lat) {
+    return Number.isFinite(lng) && Number.isFinite(lat) &&
+        lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+}
+
+/**
+ * Normalize a location into a GeoJSON Point
+ * Accepts a GeoJSON Point, a [lng, lat] pair or { lng, lat } / { longitude, latitude }
+ * @param {Object|Array} value - Location input
+ * @returns {Object|undefined} GeoJSON Point, or undefined when no location is given
+ */
+export function toGeoPoint(value) {
+    if (value === undefined || value === null) {
+        return undefined;
+    }
+
+    let position = null;
+    if (Array.isArray(value)) {
+        position = value;
+    } else if (value.type === 'Point' && Array.isArray(value.coordinates)) {
+        position = value.coordinates;
+    } else if (typeof value === 'object') {
+        position = [value.lng ?? value.longitude, value.lat ?? value.latitude];
+    }
+
+    const [lng, lat] = (position || []).map(Number);
+    if (!position || position.length !== 2 || !isValidPosition(lng, lat)) {
+        throw geoError('Location must be a GeoJSON Point with [longitude, latitude] coordinates');
+    }
+
+    return { type: 'Point', coordinates: [lng, lat] };
+}
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box
+ * @param {string} bbox - Bounding box query value
+ * @returns {Array<number>} [minLng, minLat, maxLng, maxLat]
+ */
+export function parseBoundingBox(bbox) {
+    const box = String(bbox).split(',').map(Number);
+    if (box.length !== 4 || !isValidPosition(box[0], box[1]) || !isValidPosition(box[2], box[3]) ||
+        box[0] >= box[2] || box[1] >= box[3]) {
+        throw geoError('bbox must be minLng,minLat,maxLng,maxLat', 'INVALID_BBOX');
+    }
+    return box;
+}
+
+/**
+ * Parse a search radius in meters, capped to keep queries cheap
+ * @param {string|number} radius - Requested radius in meters
+ * @returns {number} Radius in meters
+ */
+export function parseRadius(radius) {
+    const meters = parseFloat(radius);
+    if (!Number.isFinite(meters) || meters <= 0 || meters > MAX_SEARCH_RADIUS_METERS) {
+        throw geoError(`radius must be between 0 and ${MAX_SEARCH_RADIUS_METERS} meters`, 'INVALID_RADIUS');
+    }
+    return meters;
+}
+
+/**
+ * Build a $geoWithin condition for a circle or bounding box
+ * @param {Object} area - { center: Point, radius } or { bbox }
+ * @returns {Object} MongoDB $geoWithin condition
+ */
+export function buildGeoWithin(area) {
+    if (area.bbox) {
+        const [minLng, minLat, maxLng, maxLat] = area.bbox;
+        return {
+            $geoWithin: {
+                $geometry: {
+                    type: 'Polygon',
+                    coordinates: [[
+                        [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+                    ]]
+                }
+            }
+        };
+    }
+
+    return {
+        $geoWithin: {
+            $centerSphere: [area.center.coordinates, area.radius / EARTH_RADIUS_METERS]
+        }
+    };
+}
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} a - GeoJSON Point
+ * @param {Object} b - GeoJSON Point
+ * @returns {number} Distance in meters
+ */
+export function distanceInMeters(a, b) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const [lng1, lat1] = a.coordinates.map(toRadians);
+    const [lng2, lat2] = b.coordinates.map(toRadians);
+
+    const h = Math.sin((lat2 - lat1) / 2) ** 2 +
+        Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Check whether a point falls in a circle or bounding box
+ * @param {Object} point - GeoJSON Point
+ * @param {Object} area - { center: Point, radius } or { bbox }
+ * @returns {boolean} True if inside the area
+ */
+export function isWithinArea(point, area) {
+    if (!point?.coordinates?.length) {
+        return false;
+    }
+    if (area.bbox) {
+        const [lng, lat] = point.coordinates;
+        const [minLng, minLat, maxLng, maxLat] = area.bbox;
+        return lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat;
+    }
+    return distanceInMeters(point, area.center) <= area.radius;
+}
+
+export default {
+    EARTH_RADIUS_METERS,
+    MAX_SEARCH_RADIUS_METERS,
+    toGeoPoint,
+    parseBoundingBox,
+    parseRadius,
+    buildGeoWithin,
+    distanceInMeters,
+    isWithinArea
+};
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+
+export const HASH_ALGORITHM = 'sha256';
+
+/**
+ * Serialize the hashed fields of a supply chain step in a fixed order
+ * @param {Object} step - Supply chain step
+ * @returns {string} Canonical step content
+ */
+export function canonicalizeStep(step) {
+    const toISO = (value) => (value ? new Date(value).toISOString() : null);
+
+    const fields = [
+        step.stage,
+        step.location || null,
+        step.description || null,
+        step.status || null,
+        toISO(step.timestamp),
+        step.recordedBy?.uid || null,
+        toISO(step.recordedAt)
+    ];
+
+    // Steps recorded before attestation existed keep their original hash
+    if (step.attestation?.party) {
+        fields.push(step.attestation.party, step.attestation.organization || null);
+    }
+    if (step.geo?.coordinates?.length) {
+        fields.push([...step.geo.coordinates]);
+    }
+    // Imported steps keep their source EPCIS event ID under the hash
+    if (step.eventId) {
+        fields.push({ eventId: step.eventId });
+    }
+
+    return JSON.stringify(fields);
+}
+
+/**
+ * Compute the hash of a supply chain step linked to the previous hash
+ * @param {Object} step - Supply chain step
+ * @param {string} previousHash - Hash of the previous step (or product hash for the first step)
+ * @returns {string} Hex encoded step hash
+ */
+export function computeStepHash(step, previousHash) {
+    return crypto
+        .createHash(HASH_ALGORITHM)
+        .update(`${previousHash}|${canonicalizeStep(step)}`)
+        .digest('hex');
+}
+
+/**
+ * Recompute a hash chain and report the first broken link
+ * @param {string} seed - Product hash the chain starts from
+ * @param {Array} steps - Supply chain steps in order
+ * @returns {Object} Verification result
+ */
+export function verifyHashChain(seed, steps) {
+    let previousHash = seed;
+
+    for (let index = 0; index < steps.length; index++) {
+        const step = steps[index];
+        const expectedHash = computeStepHash(step, previousHash);
+
+        if (step.previousHash !== previousHash) {
+            return {
+                valid: false,
+                length: steps.length,
+                brokenAt: index,
+                reason: 'previous_hash_mismatch',
+                expected: previousHash,
+                actual: step.previousHash || null
+            };
+        }
+
+        if (step.hash !== expectedHash) {
+            return {
+                valid: false,
+                length: steps.length,
+                brokenAt: index,
+                reason: step.hash ? 'hash_mismatch' : 'missing_hash',
+                expected: expectedHash,
+                actual: step.hash || null
+            };
+        }
+
+        previousHash = step.hash;
+    }
+
+    return {
+        valid: true,
+        length: steps.length,
+        brokenAt: null,
+        headHash: previousHash
+    };
+}
+
+export default {
+    HASH_ALGORITHM,
+    canonicalizeStep,
+    computeStepHash,
+    verifyHashChain
+};
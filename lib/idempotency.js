@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+// How long a key can be replayed (should be in environment variables)
+const IDEMPOTENCY_KEY_TTL_MS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS) || 24 * 60 * 60 * 1000;
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+// How long a claimed key stays locked; a request that crashed frees it for retries after this
+const IDEMPOTENCY_LOCK_MS = parseInt(process.env.IDEMPOTENCY_LOCK_MS) || 60 * 1000;
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal bodies hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} Stable JSON
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash a request body for idempotency comparisons
+ * @param {Object} body - Request body
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashRequestBody(body) {
+    return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+}
+
+/**
+ * Claim an idempotency key, or find the request that already claimed it
+ * @returns {Promise<Object>} { record } when claimed, { existing } otherwise
+ */
+async function claimKey({ key, uid, scope, requestHash }) {
+    try {
+        const record = await IdempotencyKey.create({
+            key,
+            uid,
+            scope,
+            requestHash,
+            lockedUntil: new Date(Date.now() + IDEMPOTENCY_LOCK_MS),
+            expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_MS)
+        });
+        return { record };
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+    }
+
+    const existing = await IdempotencyKey.findOne({ key, uid, scope });
+
+    // Expired keys not yet removed by the TTL monitor count as unused
+    if (!existing || existing.expiresAt < new Date()) {
+        await IdempotencyKey.deleteOne({ key, uid, scope, expiresAt: { $lt: new Date() } });
+        return claimKey({ key, uid, scope, requestHash });
+    }
+
+    // A request whose lock ran out crashed or timed out; the same request may take the key over.
+    // Matching updatedAt makes the takeover atomic, so only one retry wins it.
+    const lockedUntil = existing.lockedUntil || new Date(existing.updatedAt.getTime() + IDEMPOTENCY_LOCK_MS);
+    if (existing.status === 'processing' && existing.requestHash === requestHash && lockedUntil < new Date()) {
+        const record = await IdempotencyKey.findOneAndUpdate(
+            { _id: existing._id, status: 'processing', updatedAt: existing.updatedAt },
+            { $set: { lockedUntil: new Date(Date.now() + IDEMPOTENCY_LOCK_MS) } },
+            { new: true }
+        );
+        if (record) {
+            return { record };
+        }
+    }
+
+    return { existing };
+}
+
+// Free a claimed key so the client can retry; a failure here must not hide the original outcome.
+// Matching lockedUntil leaves the key alone if a retry has taken it over meanwhile.
+async function releaseKey(record) {
+    try {
+        await IdempotencyKey.deleteOne({ _id: record._id, status: 'processing', lockedUntil: record.lockedUntil });
+    } catch (error) {
+        console.error('Idempotency key release error:', error);
+    }
+}
+
+/**
+ * Run a handler at most once per Idempotency-Key header and authenticated user.
+ * A repeated key with the same body replays the stored response, a repeated key
+ * with a different body (or while the first request is running) gets a 409.
+ * Server errors and thrown errors release the key so the client can retry; a key
+ * left locked by a crashed request can be taken over once its lock expires.
+ * @param {Object} req - Request (req.user must be set)
+ * @param {Object} res - Response
+ * @param {string} scope - Operation name the key applies to
+ * @param {Function} handler - Handler that sends the response with res.status().json()
+ */
+export async function withIdempotency(req, res, scope, handler) {
+    const key = req.headers['idempotency-key'];
+    if (!key) {
+        return await handler();
+    }
+
+    if (key.length > IDEMPOTENCY_KEY_MAX_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `Idempotency-Key must be at most ${IDEMPOTENCY_KEY_MAX_LENGTH} characters`,
+            code: 'IDEMPOTENCY_KEY_INVALID'
+        });
+    }
+
+    const requestHash = hashRequestBody(req.body);
+    const { record, existing } = await claimKey({ key, uid: req.user.uid, scope, requestHash });
+
+    if (existing) {
+        if (existing.requestHash !== requestHash) {
+            return res.status(409).json({
+                success: false,
+                message: 'Idempotency-Key was already used with a different request body',
+                code: 'IDEMPOTENCY_KEY_MISMATCH'
+            });
+        }
+        if (existing.status !== 'completed') {
+            return res.status(409).json({
+                success: false,
+                message: 'A request with this Idempotency-Key is still being processed',
+                code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+            });
+        }
+
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // Hold the response until it has been stored, so a retry can't miss it
+    let captured = null;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        captured = { statusCode: res.statusCode, body: JSON.parse(JSON.stringify(body)) };
+        return res;
+    };
+
+    try {
+        await handler();
+    } catch (error) {
+        await releaseKey(record);
+        throw error;
+    } finally {
+        res.json = sendJson;
+    }
+
+    if (!captured) {
+        await releaseKey(record);
+        return res;
+    }
+
+    if (captured.statusCode >= 500) {
+        await releaseKey(record);
+    } else {
+        await IdempotencyKey.updateOne(
+            { _id: record._id, status: 'processing', lockedUntil: record.lockedUntil },
+            { $set: { status: 'completed', response: captured } }
+        );
+    }
+
+    return sendJson(captured.body);
+}
+
+export default {
+    hashRequestBody,
+    withIdempotency
+};
@@ -0,0 +1,299 @@
+import mongoose from 'mongoose';
+import Product, { toPublicStep } from '../models/Product.js';
+import { can } from './permissions.js';
+import { generateQRDataUrl } from './qrcode.js';
+
+const GENEALOGY_MAX_DEPTH = parseInt(process.env.GENEALOGY_MAX_DEPTH) || 10;
+const LOT_MAX_SIZE = parseInt(process.env.LOT_MAX_SIZE) || 500;
+
+// Create a lineage error carrying an HTTP status and machine-readable code
+function lineageError(message, code, status = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+// Load an active product the user may change, inside the transaction
+async function loadOwnedProduct(productId, user, session) {
+    const product = mongoose.Types.ObjectId.isValid(productId)
+        ? await Product.findById(productId).session(session)
+        : null;
+    if (!product || !product.isActive) {
+        throw lineageError(`Product not found: ${productId}`, 'PRODUCT_NOT_FOUND', 404);
+    }
+    if (!can(user, 'products:update', { ownerId: product.owner })) {
+        throw lineageError(
+            `Access denied. You can only use your own products: ${productId}`,
+            'NOT_PRODUCT_OWNER',
+            403
+        );
+    }
+    return product;
+}
+
+// Save new products with their QR codes inside the transaction
+async function saveNewProducts(products, session) {
+    for (const product of products) {
+        product.qrCode = await generateQRDataUrl(product.ensureHash());
+        await product.save({ session });
+    }
+    return products;
+}
+
+/**
+ * Split a product into portions. Each portion is a new product linked to the
+ * parent, continuing from the parent's stage. Portions can't add up to more
+ * than the parent's quantity, counting portions split off earlier.
+ * @param {string} parentId - Product to split
+ * @param {Array<Object>} portions - [{ quantity, name, description, price }]
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { parent, children }
+ */
+export async function splitProduct(parentId, portions, user) {
+    if (!Array.isArray(portions) || portions.length === 0) {
+        throw lineageError('At least one portion is required', 'INVALID_PORTIONS');
+    }
+    if (portions.some(portion => !Number.isInteger(portion.quantity) || portion.quantity < 1)) {
+        throw lineageError('Each portion needs a whole quantity of at least 1', 'INVALID_PORTIONS');
+    }
+
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+        await session.withTransaction(async () => {
+            const parent = await loadOwnedProduct(parentId, user, session);
+
+            const existing = await Product.find({ parents: { $elemMatch: { product: parent._id, relation: 'split' } } })
+                .select('quantity')
+                .session(session);
+            const allocated = existing.reduce((sum, child) => sum + child.quantity, 0);
+            const requested = portions.reduce((sum, portion) => sum + portion.quantity, 0);
+
+            if (allocated + requested > parent.quantity) {
+                throw lineageError(
+                    `Portions exceed the product quantity (${parent.quantity - allocated} ${parent.unit} left to split)`,
+                    'SPLIT_EXCEEDS_QUANTITY',
+                    409
+                );
+            }
+
+            const linkedAt = new Date();
+            const children = portions.map((portion, index) => new Product({
+                name: portion.name || `${parent.name} (${existing.length + index + 1})`,
+                category: parent.category,
+                description: portion.description ?? parent.description,
+                quantity: portion.quantity,
+                unit: parent.unit,
+                price: portion.price ?? parent.price,
+                origin: parent.origin,
+                owner: parent.owner,
+                kind: 'item',
+                parents: [{ product: parent._id, hash: parent.hash, relation: 'split', linkedAt }],
+                inheritedStage: parent.currentStage
+            }));
+
+            result = { parent, children: await saveNewProducts(children, session) };
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    return result;
+}
+
+/**
+ * Group products into a new lot (or assemble them into a finished good). The lot
+ * links to each member as a parent and inherits their provenance up to grouping.
+ * A product can only be in one lot.
+ * @param {Array<string>} productIds - Products to group
+ * @param {Object} lotData - { name, description, category, unit }
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { lot, members }
+ */
+export async function groupIntoLot(productIds, lotData, user) {
+    const ids = [...new Set(Array.isArray(productIds) ? productIds.map(String) : [])];
+    if (ids.length < 2) {
+        throw lineageError('A lot needs at least two products', 'INVALID_LOT');
+    }
+    if (ids.length > LOT_MAX_SIZE) {
+        throw lineageError(`A lot can hold at most ${LOT_MAX_SIZE} products`, 'INVALID_LOT');
+    }
+    if (!lotData.name) {
+        throw lineageError('Lot name is required', 'INVALID_LOT');
+    }
+
+    const session = await mongoose.startSession();
+    let result;
+
+    try {
+        await session.withTransaction(async () => {
+            const members = [];
+            for (const id of ids) {
+                const member = await loadOwnedProduct(id, user, session);
+                const existingLot = await Product.exists({
+                    parents: { $elemMatch: { product: member._id, relation: 'lot' } }
+                }).session(session);
+                if (existingLot) {
+                    throw lineageError(`Product is already in a lot: ${id}`, 'ALREADY_IN_LOT', 409);
+                }
+                members.push(member);
+            }
+
+            // Everything in a lot travels together, so members must share an owner and a stage
+            if (new Set(members.map(member => member.owner)).size > 1) {
+                throw lineageError('Products in a lot must have the same owner', 'MIXED_OWNERS', 409);
+            }
+            const stages = new Set(members.map(member => member.currentStage || null));
+            if (stages.size > 1) {
+                throw lineageError('Products in a lot must be at the same supply chain stage', 'MIXED_STAGES', 409);
+            }
+
+            // Write to every member so concurrent lots using the same product conflict and retry
+            await Product.updateMany(
+                { _id: { $in: members.map(member => member._id) } },
+                { $currentDate: { updatedAt: true } },
+                { session }
+            );
+
+            const linkedAt = new Date();
+            const [lot] = await saveNewProducts([new Product({
+                name: lotData.name,
+                category: lotData.category || members[0].category,
+                description: lotData.description || '',
+                quantity: members.length,
+                unit: lotData.unit || 'unit',
+                origin: members[0].origin,
+                owner: members[0].owner,
+                kind: 'lot',
+                parents: members.map(member => ({
+                    product: member._id,
+                    hash: member.hash,
+                    relation: 'lot',
+                    linkedAt
+                })),
+                inheritedStage: members[0].currentStage
+            })], session);
+
+            result = { lot, members };
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    return result;
+}
+
+// Summary of a product in a genealogy tree
+function toGenealogyNode(product, link = null) {
+    return {
+        hash: product.hash,
+        name: product.name,
+        category: product.category,
+        kind: product.kind,
+        quantity: product.quantity,
+        unit: product.unit,
+        currentStage: product.currentStage || null,
+        relation: link?.relation || null,
+        linkedAt: link?.linkedAt || null
+    };
+}
+
+/**
+ * Build the genealogy of a product: the parents it came from or was assembled
+ * from (upstream) and the portions and lots made from it (downstream)
+ * @param {Object} product - Product document
+ * @param {number} maxDepth - Levels to follow in each direction
+ * @returns {Promise<Object>} Genealogy tree
+ */
+export async function buildGenealogy(product, maxDepth = GENEALOGY_MAX_DEPTH) {
+    const visited = new Set([product.id]);
+
+    async function upstream(node, depth) {
+        if (depth >= maxDepth) {
+            return [];
+        }
+        const parents = [];
+        for (const link of node.parents) {
+            if (visited.has(link.product.toString())) continue;
+            visited.add(link.product.toString());
+
+            const parent = await Product.findById(link.product);
+            // Keep the link visible even if the parent was deleted
+            parents.push(parent
+                ? { ...toGenealogyNode(parent, link), parents: await upstream(parent, depth + 1) }
+                : { hash: link.hash, relation: link.relation, linkedAt: link.linkedAt, missing: true, parents: [] });
+        }
+        return parents;
+    }
+
+    async function downstream(node, depth) {
+        if (depth >= maxDepth) {
+            return [];
+        }
+        const children = [];
+        const found = await Product.find({ 'parents.product': node._id }).sort({ createdAt: 1 });
+        for (const child of found) {
+            if (visited.has(child.id)) continue;
+            visited.add(child.id);
+
+            const link = child.parents.find(parentLink => parentLink.product.equals(node._id));
+            children.push({ ...toGenealogyNode(child, link), children: await downstream(child, depth + 1) });
+        }
+        return children;
+    }
+
+    return {
+        ...toGenealogyNode(product),
+        parents: await upstream(product, 0),
+        children: await downstream(product, 0)
+    };
+}
+
+/**
+ * Collect the provenance a product inherits from its ancestors, oldest first.
+ * A split portion inherits its parent's steps up to the split; a lot inherits
+ * each member's steps up to when it was grouped.
+ * @param {Object} product - Product document
+ * @param {number} maxDepth - Levels of ancestors to follow
+ * @returns {Promise<Array<Object>>} [{ hash, name, relation, linkedAt, steps }]
+ */
+export async function getInheritedProvenance(product, maxDepth = GENEALOGY_MAX_DEPTH) {
+    const inherited = [];
+    const visited = new Set([product.id]);
+
+    async function walk(node, depth) {
+        if (depth >= maxDepth) {
+            return;
+        }
+        for (const link of node.parents) {
+            if (visited.has(link.product.toString())) continue;
+            visited.add(link.product.toString());
+
+            const parent = await Product.findById(link.product);
+            if (!parent) continue;
+
+            await walk(parent, depth + 1);
+            const steps = parent.supplyChain.filter(step => step.recordedAt <= link.linkedAt);
+
+            inherited.push({
+                hash: parent.hash,
+                name: parent.name,
+                relation: link.relation,
+                linkedAt: link.linkedAt,
+                steps: steps.map(toPublicStep)
+            });
+        }
+    }
+
+    await walk(product, 0);
+    return inherited;
+}
+
+export default {
+    splitProduct,
+    groupIntoLot,
+    buildGenealogy,
+    getInheritedProvenance
+};
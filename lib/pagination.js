@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// Create a pagination error carrying an HTTP status and machine-readable code
+function paginationError(message, code = 'INVALID_CURSOR') {
+    const error = new Error(message);
+    error.code = code;
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Parse a requested page size, clamped to the supported range
+ * @param {string|number} limit - Requested page size
+ * @param {number} defaultLimit - Size used when none is given
+ * @returns {number} Page size
+ */
+export function parseLimit(limit, defaultLimit = DEFAULT_PAGE_SIZE) {
+    const parsed = parseInt(limit);
+    if (!parsed || parsed < 1) {
+        return defaultLimit;
+    }
+    return Math.min(parsed, MAX_PAGE_SIZE);
+}
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {Object} doc - Last document of the page
+ * @param {string} sortField - Field the page is sorted by
+ * @returns {string} Base64url cursor
+ */
+export function encodeCursor(doc, sortField) {
+    const value = sortField.split('.').reduce((obj, key) => obj?.[key], doc);
+    return Buffer.from(JSON.stringify({
+        v: value instanceof Date ? value.toISOString() : value ?? null,
+        d: value instanceof Date,
+        id: doc._id.toString()
+    })).toString('base64url');
+}
+
+/**
+ * Encode an offset cursor (for orderings without a stable field, like text relevance)
+ * @param {number} offset - Number of documents already returned
+ * @returns {string} Base64url cursor
+ */
+export function encodeOffsetCursor(offset) {
+    return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor or encodeOffsetCursor
+ * @param {string} cursor - Base64url cursor
+ * @returns {Object} { value, id } or { offset }
+ */
+export function decodeCursor(cursor) {
+    let parsed;
+    try {
+        parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw paginationError('Invalid pagination cursor');
+    }
+
+    if (Number.isInteger(parsed?.o) && parsed.o >= 0) {
+        return { offset: parsed.o };
+    }
+    if (!parsed || !mongoose.Types.ObjectId.isValid(parsed.id)) {
+        throw paginationError('Invalid pagination cursor');
+    }
+
+    return {
+        value: parsed.d ? new Date(parsed.v) : parsed.v,
+        id: new mongoose.Types.ObjectId(parsed.id)
+    };
+}
+
+/**
+ * Build the filter selecting documents after a cursor in (field, _id) order
+ * @param {string} sortField - Field the page is sorted by
+ * @param {number} direction - 1 ascending, -1 descending
+ * @param {Object} cursor - Decoded cursor ({ value, id })
+ * @returns {Object} MongoDB filter
+ */
+export function buildCursorFilter(sortField, direction, cursor) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    return {
+        $or: [
+            { [sortField]: { [op]: cursor.value } },
+            { [sortField]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+    };
+}
+
+export default {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    parseLimit,
+    encodeCursor,
+    encodeOffsetCursor,
+    decodeCursor,
+    buildCursorFilter
+};
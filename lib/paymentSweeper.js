@@ -0,0 +1,117 @@
+import Payment from '../models/Payment.js';
+import { piPlatform } from './piNetwork.js';
+import { dispatchPaymentWebhook } from './webhooks.js';
+
+const SWEEP_BATCH_SIZE = parseInt(process.env.PAYMENT_SWEEP_BATCH_SIZE) || 100;
+const SWEEP_MAX_BATCHES = parseInt(process.env.PAYMENT_SWEEP_MAX_BATCHES) || 10;
+
+/**
+ * Check whether an approved payment already has a blockchain transaction
+ * on the Pi Platform, in which case it must be completed rather than expired
+ * @param {Object} payment - Approved payment document
+ * @returns {Promise<boolean>} True if the payment should be left alone
+ */
+async function hasPendingTransaction(payment) {
+    if (payment.status !== 'approved' || !payment.identifier) {
+        return false;
+    }
+
+    try {
+        const piPayment = await piPlatform.getPayment(payment.identifier);
+        return Boolean(piPayment.transaction);
+    } catch (error) {
+        // Can't confirm with Pi; try again on the next sweep
+        console.error('Sweep Pi lookup error:', error.message);
+        return true;
+    }
+}
+
+/**
+ * Release what an expired payment holds: cancel it on the Pi Platform
+ * so the wallet doesn't keep an incomplete payment, and notify the merchant
+ * @param {Object} payment - Expired payment document
+ * @param {Object} counts - Release counters to update
+ */
+async function releaseExpiredPayment(payment, counts) {
+    if (payment.identifier) {
+        try {
+            await piPlatform.cancelPayment(payment.identifier);
+            counts.piCancelled += 1;
+        } catch (error) {
+            console.error('Sweep Pi cancel error:', error.message);
+            counts.piCancelFailed += 1;
+        }
+    }
+
+    if (payment.webhookUrl && await dispatchPaymentWebhook(payment)) {
+        counts.webhooksSent += 1;
+    }
+}
+
+/**
+ * Move expired pending and approved payments to `expired` in batches
+ * @param {Object} options - Sweep options
+ * @param {number} options.batchSize - Payments per batch
+ * @param {number} options.maxBatches - Maximum batches per run
+ * @returns {Promise<Object>} Sweep report
+ */
+export async function sweepExpiredPayments({
+    batchSize = SWEEP_BATCH_SIZE,
+    maxBatches = SWEEP_MAX_BATCHES
+} = {}) {
+    const report = {
+        batches: 0,
+        expired: { pending: 0, approved: 0 },
+        skipped: 0,
+        released: { piCancelled: 0, piCancelFailed: 0, webhooksSent: 0 },
+        hasMore: false
+    };
+    const skippedIds = [];
+
+    while (report.batches < maxBatches) {
+        const candidates = await Payment.findExpiredPayments(batchSize, skippedIds);
+        if (candidates.length === 0) {
+            break;
+        }
+        report.batches += 1;
+
+        const toExpire = [];
+        for (const payment of candidates) {
+            if (await hasPendingTransaction(payment)) {
+                skippedIds.push(payment._id);
+                report.skipped += 1;
+            } else {
+                toExpire.push(payment);
+            }
+        }
+
+        if (toExpire.length > 0) {
+            const expiredAt = new Date();
+            await Payment.markManyAsExpired(toExpire.map(payment => payment._id), expiredAt);
+
+            // Only count and release payments this sweep actually expired
+            const expired = await Payment.find({
+                _id: { $in: toExpire.map(payment => payment._id) },
+                status: 'expired',
+                expiredAt
+            });
+            const previousStatus = new Map(toExpire.map(payment => [payment.id, payment.status]));
+
+            for (const payment of expired) {
+                report.expired[previousStatus.get(payment.id)] += 1;
+                await releaseExpiredPayment(payment, report.released);
+            }
+        }
+
+        if (candidates.length < batchSize) {
+            break;
+        }
+        report.hasMore = report.batches >= maxBatches;
+    }
+
+    return report;
+}
+
+export default {
+    sweepExpiredPayments
+};
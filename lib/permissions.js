@@ -0,0 +1,112 @@
+// Roles a user can hold, from least to most privileged
+export const ROLES = ['user', 'producer', 'logistics', 'auditor', 'admin'];
+
+// Permissions of a regular user: everything on their own resources
+const USER_PERMISSIONS = {
+    'products:create': 'own',
+    'products:update': 'own',
+    'products:delete': 'own',
+    'products:transfer': 'own',
+    'products:participants': 'own',
+    'products:export': 'own',
+    'supplyChain:append': 'own',
+    'payments:create': 'own',
+    'payments:read': 'own',
+    'payments:update': 'own',
+    'payments:refund': 'own',
+    'users:update': 'own'
+};
+
+/**
+ * Actions each role may perform and their scope:
+ * 'own' only on resources the user owns, 'any' on all resources.
+ * '*' matches any action not listed.
+ */
+export const ROLE_PERMISSIONS = {
+    user: USER_PERMISSIONS,
+    producer: { ...USER_PERMISSIONS },
+    // Carriers move other people's goods: they don't register or delete products
+    logistics: Object.fromEntries(Object.entries(USER_PERMISSIONS)
+        .filter(([action]) => !['products:create', 'products:delete'].includes(action))),
+    auditor: {
+        ...USER_PERMISSIONS,
+        'payments:read': 'any',
+        'products:export': 'any'
+    },
+    admin: {
+        '*': 'any'
+    }
+};
+
+// Supply chain stages a role may record; roles not listed may record any stage
+export const ROLE_STAGES = {
+    producer: ['manufactured', 'shipped'],
+    logistics: ['shipped', 'in_transit', 'delivered']
+};
+
+// Scopes an API key can be granted
+export const API_KEY_SCOPES = ['products:read', 'products:write', 'payments:read', 'payments:write'];
+
+// Scope an API key needs for each action; actions not listed can't be done with a key
+const ACTION_SCOPES = {
+    'products:create': 'products:write',
+    'products:update': 'products:write',
+    'products:delete': 'products:write',
+    'products:transfer': 'products:write',
+    'products:participants': 'products:write',
+    'products:export': 'products:read',
+    'supplyChain:append': 'products:write',
+    'payments:create': 'payments:write',
+    'payments:read': 'payments:read',
+    'payments:update': 'payments:write',
+    'payments:refund': 'payments:write'
+};
+
+/**
+ * Check whether a user may perform an action
+ * @param {Object} user - User object from token (with scopes when authenticated by API key)
+ * @param {string} action - Action name, e.g. 'products:update'
+ * @param {Object} resource - Resource acted on ({ ownerId }); omit for actions without one
+ * @returns {boolean} True if allowed
+ */
+export function can(user, action, resource = null) {
+    if (!user) {
+        return false;
+    }
+
+    // Requests made with an API key are limited to the key's scopes
+    if (user.scopes && !user.scopes.includes(ACTION_SCOPES[action])) {
+        return false;
+    }
+
+    const permissions = ROLE_PERMISSIONS[user.role] || ROLE_PERMISSIONS.user;
+    const scope = permissions[action] || permissions['*'];
+
+    if (scope === 'any') {
+        return true;
+    }
+    if (scope === 'own') {
+        return !resource || (Boolean(resource.ownerId) && resource.ownerId === user.uid);
+    }
+    return false;
+}
+
+/**
+ * Check whether a user's role may record a supply chain stage
+ * @param {Object} user - User object from token
+ * @param {string} stage - Supply chain stage
+ * @returns {boolean} True if allowed
+ */
+export function canRecordStage(user, stage) {
+    const stages = ROLE_STAGES[user?.role];
+    return !stages || stages.includes(stage);
+}
+
+export default {
+    ROLES,
+    ROLE_STAGES,
+    API_KEY_SCOPES,
+    ROLE_PERMISSIONS,
+    can,
+    canRecordStage
+};
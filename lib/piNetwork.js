@@ -0,0 +1,152 @@
+import axios from 'axios';
+
+// Pi Platform API configuration (server API key from the Pi Developer Portal)
+const PI_API_KEY = process.env.PI_API_KEY;
+const PI_API_BASE_URL = process.env.PI_API_BASE_URL || 'https://api.minepi.com/v2';
+const PI_API_TIMEOUT = parseInt(process.env.PI_API_TIMEOUT) || 10000;
+
+// Create a Pi Platform error carrying an HTTP status and machine-readable code
+function piError(message, code, status) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Client for the Pi Platform server-side API
+ * Base URL is configurable so a local mock Pi server can stand in for tests
+ */
+export class PiPlatformClient {
+    constructor({ apiKey = PI_API_KEY, baseURL = PI_API_BASE_URL, timeout = PI_API_TIMEOUT } = {}) {
+        this.apiKey = apiKey;
+        this.http = axios.create({
+            baseURL,
+            timeout,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    async request(method, path, data, authorization = null) {
+        if (!authorization && !this.apiKey) {
+            throw piError('Pi API key is not configured', 'PI_API_NOT_CONFIGURED', 500);
+        }
+
+        try {
+            const response = await this.http.request({
+                method,
+                url: path,
+                data,
+                headers: { Authorization: authorization || `Key ${this.apiKey}` }
+            });
+            return response.data;
+        } catch (error) {
+            const piMessage = error.response?.data?.error_message || error.response?.data?.error;
+            const status = error.response?.status;
+            throw piError(
+                `Pi Platform request failed: ${piMessage || error.message}`,
+                'PI_API_ERROR',
+                [401, 404].includes(status) ? status : 502
+            );
+        }
+    }
+
+    /**
+     * Fetch the Pi user an access token belongs to
+     * @param {string} accessToken - Pi user access token from the Pi SDK
+     * @returns {Promise<Object>} Pi user DTO ({ uid, username })
+     */
+    async getMe(accessToken) {
+        return await this.request('get', '/me', undefined, `Bearer ${accessToken}`);
+    }
+
+    /**
+     * Fetch a payment from the Pi Platform
+     * @param {string} identifier - Pi payment identifier
+     * @returns {Promise<Object>} Pi payment DTO
+     */
+    async getPayment(identifier) {
+        return await this.request('get', `/payments/${encodeURIComponent(identifier)}`);
+    }
+
+    /**
+     * Approve a payment on the Pi Platform (server-side approval)
+     * @param {string} identifier - Pi payment identifier
+     * @returns {Promise<Object>} Pi payment DTO
+     */
+    async approvePayment(identifier) {
+        return await this.request('post', `/payments/${encodeURIComponent(identifier)}/approve`);
+    }
+
+    /**
+     * Complete a payment on the Pi Platform (server-side completion)
+     * @param {string} identifier - Pi payment identifier
+     * @param {string} txid - Blockchain transaction ID
+     * @returns {Promise<Object>} Pi payment DTO
+     */
+    async completePayment(identifier, txid) {
+        return await this.request('post', `/payments/${encodeURIComponent(identifier)}/complete`, { txid });
+    }
+
+    /**
+     * Cancel a payment on the Pi Platform
+     * @param {string} identifier - Pi payment identifier
+     * @returns {Promise<Object>} Pi payment DTO
+     */
+    async cancelPayment(identifier) {
+        return await this.request('post', `/payments/${encodeURIComponent(identifier)}/cancel`);
+    }
+
+    /**
+     * Fetch the on-chain transaction data of a payment
+     * @param {string} identifier - Pi payment identifier
+     * @returns {Promise<Object>} piNetworkData fields
+     */
+    async fetchPiNetworkData(identifier) {
+        return toPiNetworkData(await this.getPayment(identifier));
+    }
+}
+
+/**
+ * Map a Pi payment DTO to the piNetworkData stored on a Payment
+ * @param {Object} piPayment - Pi payment DTO
+ * @returns {Object} piNetworkData fields
+ */
+export function toPiNetworkData(piPayment) {
+    const transaction = piPayment.transaction || {};
+
+    return {
+        transactionId: transaction.txid,
+        fromAddress: piPayment.from_address,
+        toAddress: piPayment.to_address,
+        network: piPayment.network === 'Pi Network' ? 'Pi Mainnet' : 'Pi Testnet',
+        txUrl: transaction._link,
+        rawTransaction: piPayment
+    };
+}
+
+/**
+ * Check that a Pi payment matches the payment we created
+ * @param {Object} piPayment - Pi payment DTO
+ * @param {Object} payment - Payment document
+ * @returns {string|null} Mismatch description, or null if it matches
+ */
+export function findPaymentMismatch(piPayment, payment) {
+    if (piPayment.user_uid !== payment.user.uid) {
+        return 'Pi payment belongs to a different user';
+    }
+    if (Number(piPayment.amount) !== payment.amount) {
+        return 'Pi payment amount does not match';
+    }
+    return null;
+}
+
+// Default client configured from environment variables
+export const piPlatform = new PiPlatformClient();
+
+export default {
+    PiPlatformClient,
+    toPiNetworkData,
+    findPaymentMismatch,
+    piPlatform
+};
@@ -0,0 +1,212 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import { generateQRDataUrl } from './qrcode.js';
+import { toGeoPoint } from './geo.js';
+
+export const IMPORT_MAX_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 1000;
+
+// Fields the server sets; imported rows can't supply them
+const PROTECTED_FIELDS = [
+    '_id', 'owner', 'qrCode', 'isActive', 'currentStage', 'pendingTransfer', 'custodyHistory',
+    'participants', 'kind', 'parents', 'inheritedStage', 'createdAt', 'updatedAt'
+];
+
+// Create an import error carrying an HTTP status and machine-readable code
+function importError(message, code, status = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+// Describe why a row failed, one entry per problem
+function toRowErrors(error, field = null) {
+    if (error.name === 'ValidationError') {
+        return Object.values(error.errors).map(fieldError => ({
+            field: fieldError.path,
+            message: fieldError.message
+        }));
+    }
+    if (error.status) {
+        return [{ field, code: error.code, message: error.message }];
+    }
+    throw error;
+}
+
+// Build an unsaved product from an import row and validate it like a single create
+async function buildRowProduct(row, user) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        throw importError('Row must be an object', 'INVALID_ROW');
+    }
+
+    const { supplyChain = [], ...fields } = row;
+    for (const field of PROTECTED_FIELDS) {
+        delete fields[field];
+    }
+
+    // Origin coordinates may come as lat/lng columns
+    if (fields.origin && typeof fields.origin === 'object') {
+        const { lat, lng, latitude, longitude, geo, ...origin } = fields.origin;
+        const position = lat ?? latitude ?? lng ?? longitude;
+        try {
+            origin.geo = toGeoPoint(geo ?? (position !== undefined ? { lat, lng, latitude, longitude } : undefined));
+        } catch (error) {
+            error.field = 'origin.geo';
+            throw error;
+        }
+        fields.origin = origin;
+    }
+
+    const product = new Product({ ...fields, owner: user.uid });
+
+    if (!Array.isArray(supplyChain)) {
+        throw importError('supplyChain must be an array of steps', 'INVALID_ROW');
+    }
+    supplyChain.forEach((step, index) => {
+        try {
+            product.supplyChain.push(product.buildSupplyChainStep(step, user));
+        } catch (error) {
+            error.field = `supplyChain.${index}`;
+            throw error;
+        }
+    });
+
+    await product.validate();
+    return product;
+}
+
+// Mark rows whose insert failed, using the write errors' batch positions
+function markWriteErrors(error, entries) {
+    const failed = new Set();
+    for (const writeError of error.writeErrors || []) {
+        const entry = entries[writeError.index];
+        if (!entry) continue;
+        failed.add(entry);
+        entry.report.status = 'invalid';
+        entry.report.errors.push({
+            field: writeError.code === 11000 ? 'hash' : null,
+            message: writeError.code === 11000 ? 'Product hash already exists' : writeError.errmsg
+        });
+    }
+    return failed;
+}
+
+/**
+ * Validate and import a batch of product rows for a user. Every row gets a
+ * report entry with its hash or its validation errors.
+ * With allOrNothing, nothing is written unless every row is valid, and the
+ * insert runs in a transaction so a failed write rolls the batch back.
+ * @param {Array<Object>} rows - Product fields, one object per row
+ * @param {Object} user - Authenticated user who will own the products
+ * @param {Object} options - { dryRun, allOrNothing }
+ * @returns {Promise<Object>} Import report
+ */
+export async function importProducts(rows, user, { dryRun = false, allOrNothing = false } = {}) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        throw importError('No rows to import', 'EMPTY_IMPORT');
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+        throw importError(`An import can hold at most ${IMPORT_MAX_ROWS} rows`, 'IMPORT_TOO_LARGE', 413);
+    }
+
+    const entries = [];
+    for (let index = 0; index < rows.length; index++) {
+        const report = { row: index + 1, status: 'valid', hash: null, errors: [] };
+        let product = null;
+        try {
+            product = await buildRowProduct(rows[index], user);
+            report.hash = product.hash;
+        } catch (error) {
+            report.status = 'invalid';
+            report.errors = toRowErrors(error, error.field || null);
+        }
+        entries.push({ report, product });
+    }
+
+    // Hashes must be unique within the batch and against existing products
+    const seen = new Set();
+    for (const entry of entries.filter(candidate => candidate.product)) {
+        if (seen.has(entry.report.hash)) {
+            entry.report.errors.push({ field: 'hash', message: 'Duplicate hash in this import' });
+        }
+        seen.add(entry.report.hash);
+    }
+    const existing = await Product.find({ hash: { $in: [...seen] } }).select('hash');
+    const existingHashes = new Set(existing.map(product => product.hash));
+    for (const entry of entries.filter(candidate => candidate.product)) {
+        if (existingHashes.has(entry.report.hash)) {
+            entry.report.errors.push({ field: 'hash', message: 'Product hash already exists' });
+        }
+        if (entry.report.errors.length > 0) {
+            entry.report.status = 'invalid';
+        }
+    }
+
+    const valid = entries.filter(entry => entry.report.status === 'valid');
+    const result = {
+        dryRun,
+        allOrNothing,
+        total: entries.length,
+        valid: valid.length,
+        invalid: entries.length - valid.length,
+        created: 0,
+        rows: entries.map(entry => entry.report)
+    };
+
+    if (dryRun || valid.length === 0 || (allOrNothing && result.invalid > 0)) {
+        if (!dryRun) {
+            valid.forEach(entry => { entry.report.status = 'skipped'; });
+        }
+        return result;
+    }
+
+    for (const entry of valid) {
+        entry.product.qrCode = await generateQRDataUrl(entry.product.hash);
+    }
+    const documents = valid.map(entry => entry.product);
+
+    if (allOrNothing) {
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                await Product.insertMany(documents, { session });
+            });
+        } catch (error) {
+            if (!error.writeErrors) {
+                throw error;
+            }
+            // A write failed (e.g. a hash taken since validation), so the batch was rolled back
+            const failed = markWriteErrors(error, valid);
+            valid.filter(entry => !failed.has(entry)).forEach(entry => { entry.report.status = 'skipped'; });
+            result.valid -= failed.size;
+            result.invalid += failed.size;
+            return result;
+        } finally {
+            await session.endSession();
+        }
+        valid.forEach(entry => { entry.report.status = 'created'; });
+        result.created = valid.length;
+        return result;
+    }
+
+    let failed = new Set();
+    try {
+        await Product.insertMany(documents, { ordered: false });
+    } catch (error) {
+        if (!error.writeErrors) {
+            throw error;
+        }
+        failed = markWriteErrors(error, valid);
+    }
+
+    valid.filter(entry => !failed.has(entry)).forEach(entry => { entry.report.status = 'created'; });
+    result.created = valid.length - failed.size;
+    result.valid -= failed.size;
+    result.invalid += failed.size;
+    return result;
+}
+
+export default {
+    IMPORT_MAX_ROWS,
+    importProducts
+};
@@ -0,0 +1,87 @@
+import QRCode from 'qrcode';
+
+// Public page consumers land on when scanning a product label (required;
+// printed labels can't be changed later, so there is no localhost fallback)
+const VERIFY_BASE_URL = process.env.VERIFY_BASE_URL;
+
+export const QR_DEFAULT_SIZE = 300;
+export const QR_MIN_SIZE = 64;
+export const QR_MAX_SIZE = 2048;
+
+// Create a QR code error carrying an HTTP status and machine-readable code
+function qrError(message, code, status = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Build the public verification URL for a product
+ * @param {string} hash - Product hash
+ * @returns {string} Verification URL
+ * @throws {Error} VERIFY_URL_NOT_CONFIGURED (503)
+ */
+export function buildVerificationUrl(hash) {
+    if (!VERIFY_BASE_URL) {
+        throw qrError('Verification URL is not configured', 'VERIFY_URL_NOT_CONFIGURED', 503);
+    }
+    return `${VERIFY_BASE_URL.replace(/\/+$/, '')}/${encodeURIComponent(hash)}`;
+}
+
+/**
+ * Parse a requested QR code size, clamped to the supported range
+ * @param {string|number} size - Requested width in pixels
+ * @returns {number} Size in pixels
+ */
+export function parseQRSize(size) {
+    const parsed = parseInt(size);
+    if (!parsed) {
+        return QR_DEFAULT_SIZE;
+    }
+    return Math.min(Math.max(parsed, QR_MIN_SIZE), QR_MAX_SIZE);
+}
+
+const qrOptions = (size) => ({
+    width: size,
+    margin: 2,
+    errorCorrectionLevel: 'M'
+});
+
+/**
+ * Generate a PNG data URL QR code for a product
+ * @param {string} hash - Product hash
+ * @param {number} size - Width in pixels
+ * @returns {Promise<string>} PNG data URL
+ */
+export async function generateQRDataUrl(hash, size = QR_DEFAULT_SIZE) {
+    return await QRCode.toDataURL(buildVerificationUrl(hash), qrOptions(size));
+}
+
+/**
+ * Generate a PNG QR code image for a product
+ * @param {string} hash - Product hash
+ * @param {number} size - Width in pixels
+ * @returns {Promise<Buffer>} PNG image
+ */
+export async function generateQRPng(hash, size = QR_DEFAULT_SIZE) {
+    return await QRCode.toBuffer(buildVerificationUrl(hash), { ...qrOptions(size), type: 'png' });
+}
+
+/**
+ * Generate an SVG QR code image for a product
+ * @param {string} hash - Product hash
+ * @param {number} size - Width in pixels
+ * @returns {Promise<string>} SVG markup
+ */
+export async function generateQRSvg(hash, size = QR_DEFAULT_SIZE) {
+    return await QRCode.toString(buildVerificationUrl(hash), { ...qrOptions(size), type: 'svg' });
+}
+
+export default {
+    buildVerificationUrl,
+    parseQRSize,
+    generateQRDataUrl,
+    generateQRPng,
+    generateQRSvg
+};
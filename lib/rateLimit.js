@@ -0,0 +1,153 @@
+import RateLimitCounter from '../models/RateLimitCounter.js';
+import { verifyToken, hashApiKey, API_KEY_HEADER } from './auth.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Rate limit policies per route and method ('*' applies to any other method)
+ * Windows are counted separately for each route and method group
+ */
+export const RATE_LIMIT_POLICIES = {
+    auth: {
+        POST: { maxRequests: 5, windowMs: 15 * MINUTE },
+        '*': { maxRequests: 60, windowMs: 15 * MINUTE }
+    },
+    authSession: {
+        '*': { maxRequests: 30, windowMs: 15 * MINUTE }
+    },
+    products: {
+        GET: { maxRequests: 1000, windowMs: HOUR },
+        '*': { maxRequests: 100, windowMs: HOUR }
+    },
+    payments: {
+        GET: { maxRequests: 300, windowMs: HOUR },
+        POST: { maxRequests: 30, windowMs: HOUR },
+        '*': { maxRequests: 100, windowMs: HOUR }
+    },
+    public: {
+        '*': { maxRequests: 600, windowMs: HOUR }
+    },
+    default: {
+        '*': { maxRequests: 100, windowMs: HOUR }
+    }
+};
+
+/**
+ * Sliding window rate limiter backed by MongoDB, shared by all instances.
+ * Counts requests in fixed windows and weights the previous window by how
+ * much of it still overlaps the sliding window.
+ */
+export class RateLimiter {
+    constructor(maxRequests, windowMs) {
+        this.maxRequests = maxRequests;
+        this.windowMs = windowMs;
+    }
+
+    async check(key) {
+        const now = Date.now();
+        const windowStart = Math.floor(now / this.windowMs) * this.windowMs;
+        const elapsed = now - windowStart;
+
+        const current = await RateLimitCounter.findOneAndUpdate(
+            { key, windowStart: new Date(windowStart) },
+            {
+                $inc: { count: 1 },
+                $setOnInsert: { expiresAt: new Date(windowStart + 2 * this.windowMs) }
+            },
+            { upsert: true, new: true }
+        );
+        const previous = await RateLimitCounter.findOne({
+            key,
+            windowStart: new Date(windowStart - this.windowMs)
+        });
+
+        const previousCount = previous ? previous.count : 0;
+        const previousWeight = 1 - elapsed / this.windowMs;
+        const estimated = previousCount * previousWeight + current.count;
+        const allowed = estimated <= this.maxRequests;
+
+        // Time until the estimate drops back under the limit
+        let retryAfterMs = this.windowMs - elapsed;
+        if (current.count < this.maxRequests && previousCount > 0) {
+            const neededElapsed = this.windowMs * (1 - (this.maxRequests - current.count) / previousCount);
+            retryAfterMs = Math.max(neededElapsed - elapsed, 0);
+        }
+
+        return {
+            allowed,
+            limit: this.maxRequests,
+            remaining: Math.max(Math.floor(this.maxRequests - estimated), 0),
+            resetSeconds: Math.ceil((this.windowMs - elapsed) / 1000),
+            retryAfterSeconds: Math.max(Math.ceil(retryAfterMs / 1000), 1)
+        };
+    }
+}
+
+/**
+ * Identify the caller: the authenticated user if a valid token is present,
+ * else the API key if one is sent, else the IP
+ * @param {Object} req - Request
+ * @returns {string} Rate limit identity
+ */
+export function getRateLimitIdentity(req) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (token) {
+        try {
+            return `user:${verifyToken(token).uid}`;
+        } catch (error) {
+            // Fall back to the IP for invalid tokens
+        }
+    }
+
+    const apiKey = req.headers[API_KEY_HEADER];
+    if (apiKey) {
+        return `key:${hashApiKey(apiKey).substring(0, 16)}`;
+    }
+
+    const forwardedFor = req.headers['x-forwarded-for'];
+    const ip = forwardedFor ? forwardedFor.split(',')[0].trim() : req.connection?.remoteAddress;
+    return `ip:${ip || 'unknown'}`;
+}
+
+/**
+ * Apply the rate limit policy for a route and set RateLimit-* headers
+ * (plus Retry-After when the limit is exceeded). Fails open if the store is unavailable.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {string} route - Policy name from RATE_LIMIT_POLICIES
+ * @returns {Promise<Object>} Rate limit result ({ allowed, limit, remaining, ... })
+ */
+export async function checkRateLimit(req, res, route) {
+    const policies = RATE_LIMIT_POLICIES[route] || RATE_LIMIT_POLICIES.default;
+    const methodKey = policies[req.method] ? req.method : '*';
+    const { maxRequests, windowMs } = policies[methodKey];
+
+    let result;
+    try {
+        const limiter = new RateLimiter(maxRequests, windowMs);
+        result = await limiter.check(`${route}:${methodKey}:${getRateLimitIdentity(req)}`);
+    } catch (error) {
+        console.error('Rate limit error:', error);
+        return { allowed: true };
+    }
+
+    res.setHeader('RateLimit-Policy', `${maxRequests};w=${Math.round(windowMs / 1000)}`);
+    res.setHeader('RateLimit-Limit', String(result.limit));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(result.resetSeconds));
+    if (!result.allowed) {
+        res.setHeader('Retry-After', String(result.retryAfterSeconds));
+    }
+
+    return result;
+}
+
+export default {
+    RATE_LIMIT_POLICIES,
+    RateLimiter,
+    getRateLimitIdentity,
+    checkRateLimit
+};
@@ -0,0 +1,270 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+
+// Webhook configuration (should be in environment variables)
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS) || 60 * 1000;
+const WEBHOOK_BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+export const SIGNATURE_HEADER = 'X-PiTrace-Signature';
+export const TIMESTAMP_HEADER = 'X-PiTrace-Timestamp';
+export const EVENT_HEADER = 'X-PiTrace-Event';
+
+// Loopback, private, link-local (cloud metadata), shared, reserved and multicast ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Create a webhook error carrying an HTTP status and machine-readable code
+function webhookError(message, code = 'INVALID_WEBHOOK_URL', status = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Whether an IP address is loopback, private or otherwise not publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if webhooks must not be sent to it
+ */
+export function isPrivateAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return isPrivateAddress(mapped[1]);
+    }
+    const family = net.isIP(address);
+    if (!family) {
+        return true;
+    }
+    return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// DNS lookup that refuses private addresses, checked again at connect time against DNS rebinding
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) {
+            return callback(err);
+        }
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(webhookError(`Webhook host ${hostname} resolves to a private address`));
+        }
+        return callback(null, address, family);
+    });
+}
+
+const webhookAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+/**
+ * Check that a webhook URL is https and its host resolves only to public addresses
+ * @param {string} url - Merchant webhook URL
+ * @returns {Promise<URL>} Parsed URL
+ * @throws {Error} INVALID_WEBHOOK_URL (400)
+ */
+export async function validateWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw webhookError('Webhook URL must be a valid https URL');
+    }
+    if (parsed.protocol !== 'https:') {
+        throw webhookError('Webhook URL must use https');
+    }
+    if (parsed.username || parsed.password) {
+        throw webhookError('Webhook URL must not contain credentials');
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(hostname)
+            ? [{ address: hostname }]
+            : await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        throw webhookError(`Webhook host ${hostname} could not be resolved`);
+    }
+    if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+        throw webhookError('Webhook URL must not point to a private or loopback address');
+    }
+
+    return parsed;
+}
+
+/**
+ * Generate a merchant's webhook signing secret
+ * @returns {string} New secret
+ */
+export function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC over `${timestamp}.${body}`
+ * and reject stale timestamps to prevent replays.
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} secret - The merchant's webhook secret
+ * @returns {string} Signature header value
+ */
+export function signWebhookPayload(body, timestamp, secret) {
+    const digest = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * Delay before the next attempt, doubling after every failure
+ * @param {number} attempt - Number of attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt) {
+    return Math.min(WEBHOOK_BACKOFF_BASE_MS * 2 ** (attempt - 1), WEBHOOK_BACKOFF_MAX_MS);
+}
+
+/**
+ * Make one delivery attempt for a payment's webhook and record the outcome
+ * @param {Object} payment - Payment document with a webhookUrl
+ * @returns {Promise<boolean>} True if the receiver accepted the webhook
+ */
+export async function attemptWebhook(payment) {
+    const event = `payment.${payment.status}`;
+    const body = JSON.stringify(payment.toPaymentResponse());
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = payment.webhookAttempts + 1;
+    const startedAt = Date.now();
+
+    const delivery = { event, attempt, attemptedAt: new Date() };
+
+    try {
+        // Each merchant verifies with its own secret; without one nothing is sent
+        const merchant = await User.findOne({ uid: payment.user.uid }).select('+webhookSecret');
+        if (!merchant?.webhookSecret) {
+            throw webhookError('Merchant has no webhook secret', 'WEBHOOK_SECRET_MISSING');
+        }
+
+        await validateWebhookUrl(payment.webhookUrl);
+
+        const response = await axios.post(payment.webhookUrl, body, {
+            timeout: WEBHOOK_TIMEOUT_MS,
+            httpsAgent: webhookAgent,
+            maxRedirects: 0,
+            headers: {
+                'Content-Type': 'application/json',
+                [SIGNATURE_HEADER]: signWebhookPayload(body, timestamp, merchant.webhookSecret),
+                [TIMESTAMP_HEADER]: String(timestamp),
+                [EVENT_HEADER]: event
+            },
+            validateStatus: () => true
+        });
+
+        delivery.statusCode = response.status;
+        delivery.outcome = response.status >= 200 && response.status < 300 ? 'sent' : 'failed';
+        if (delivery.outcome === 'failed') {
+            delivery.error = `Receiver responded with ${response.status}`;
+        }
+    } catch (error) {
+        delivery.outcome = 'failed';
+        delivery.error = error.message;
+    }
+
+    delivery.durationMs = Date.now() - startedAt;
+
+    payment.webhookAttempts = attempt;
+    payment.webhookDeliveries.push(delivery);
+
+    if (delivery.outcome === 'sent') {
+        payment.webhookStatus = 'sent';
+        payment.webhookNextAttemptAt = undefined;
+    } else if (attempt >= WEBHOOK_MAX_ATTEMPTS) {
+        payment.webhookStatus = 'failed';
+        payment.webhookNextAttemptAt = undefined;
+    } else {
+        payment.webhookStatus = 'retrying';
+        payment.webhookNextAttemptAt = new Date(Date.now() + getBackoffDelay(attempt));
+    }
+
+    await payment.save();
+    return delivery.outcome === 'sent';
+}
+
+/**
+ * Send the webhook for a payment's new status, starting a fresh retry cycle
+ * Delivery failures are recorded on the payment and never thrown
+ * @param {Object} payment - Payment document
+ * @returns {Promise<boolean>} True if delivered on the first attempt
+ */
+export async function dispatchPaymentWebhook(payment) {
+    if (!payment.webhookUrl) {
+        return false;
+    }
+
+    payment.webhookStatus = 'pending';
+    payment.webhookAttempts = 0;
+
+    try {
+        return await attemptWebhook(payment);
+    } catch (error) {
+        console.error('Webhook dispatch error:', error);
+        return false;
+    }
+}
+
+/**
+ * Retry webhooks whose backoff delay has elapsed
+ * @param {number} limit - Maximum number of payments to process
+ * @returns {Promise<Object>} Counts of processed, sent and failed deliveries
+ */
+export async function retryDueWebhooks(limit = 50) {
+    const payments = await Payment.find({
+        webhookStatus: 'retrying',
+        webhookNextAttemptAt: { $lte: new Date() }
+    })
+        .sort({ webhookNextAttemptAt: 1 })
+        .limit(limit);
+
+    const result = { processed: payments.length, sent: 0, failed: 0 };
+
+    for (const payment of payments) {
+        try {
+            if (await attemptWebhook(payment)) {
+                result.sent += 1;
+            } else {
+                result.failed += 1;
+            }
+        } catch (error) {
+            console.error('Webhook retry error:', error);
+            result.failed += 1;
+        }
+    }
+
+    return result;
+}
+
+export default {
+    isPrivateAddress,
+    validateWebhookUrl,
+    generateWebhookSecret,
+    signWebhookPayload,
+    getBackoffDelay,
+    attemptWebhook,
+    dispatchPaymentWebhook,
+    retryDueWebhooks
+};
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// Audit record of a guest account merged into a Pi account
+const accountMergeSchema = new mongoose.Schema({
+  fromUid: {
+    type: String,
+    required: true
+  },
+  fromUsername: String,
+  toUid: {
+    type: String,
+    required: true
+  },
+  toUsername: String,
+  reason: {
+    type: String,
+    enum: ['guest_upgrade'],
+    default: 'guest_upgrade'
+  },
+  moved: {
+    products: { type: Number, default: 0 },
+    pendingTransfers: { type: Number, default: 0 },
+    payments: { type: Number, default: 0 },
+    payeePayments: { type: Number, default: 0 },
+    productRefs: { type: Number, default: 0 }
+  },
+  revoked: {
+    refreshTokens: { type: Number, default: 0 },
+    apiKeys: { type: Number, default: 0 }
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+accountMergeSchema.index({ fromUid: 1 });
+accountMergeSchema.index({ toUid: 1 });
+
+export default mongoose.models.AccountMerge || mongoose.model('AccountMerge', accountMergeSchema);
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import { API_KEY_SCOPES } from '../lib/permissions.js';
+
+const apiKeySchema = new mongoose.Schema({
+  uid: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // First characters of the key, shown so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the key; the key itself is only shown once at creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ uid: 1, revokedAt: 1 });
+
+// Method to format API key for responses (never includes the hash)
+apiKeySchema.methods.toApiKeyResponse = function() {
+  return {
+    id: this._id.toString(),
+    label: this.label,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    lastUsedAt: this.lastUsedAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+export default mongoose.models.ApiKey || mongoose.model('ApiKey', apiKeySchema);
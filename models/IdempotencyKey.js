@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  uid: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    required: true // e.g. 'payments:create'
+  },
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // Lease of the request processing the key; after it a retry may take over
+  lockedUntil: Date,
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// A key is unique per user and operation
+idempotencyKeySchema.index({ uid: 1, scope: 1, key: 1 }, { unique: true });
+
+// MongoDB removes keys once their replay window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.IdempotencyKey || mongoose.model('IdempotencyKey', idempotencyKeySchema);
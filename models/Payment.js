@@ -0,0 +1,728 @@
+import mongoose from 'mongoose';
+import { buildCursorFilter } from '../lib/pagination.js';
+
+const paymentSchema = new mongoose.Schema({
+  // Basic Payment Information
+  paymentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  identifier: {
+    type: String,
+    unique: true,
+    sparse: true // For Pi Network payment identifiers
+  },
+
+  // User Information
+  user: {
+    uid: {
+      type: String,
+      required: true
+    },
+    username: {
+      type: String,
+      required: true
+    },
+    walletAddress: String
+  },
+
+  // Payment Details
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'PI',
+    enum: ['PI', 'USD', 'IDR'] // Pi coins, US Dollars, Indonesian Rupiah
+  },
+  memo: {
+    type: String,
+    default: ''
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed, // Flexible object for additional data
+    default: {}
+  },
+
+  // Payment Status
+  status: {
+    type: String,
+    required: true,
+    enum: [
+      'pending',      // Payment created, waiting for user action
+      'approved',     // User approved the payment
+      'completed',    // Payment successfully processed
+      'cancelled',    // User cancelled the payment
+      'expired',      // Payment expired
+      'failed',       // Payment failed
+      'partially_refunded', // Part of the payment was refunded
+      'refunded'      // Payment was refunded in full
+    ],
+    default: 'pending'
+  },
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: {
+        type: String,
+        enum: ['user', 'system', 'anonymous'],
+        default: 'anonymous'
+      },
+      uid: String,
+      username: String
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Pi Network Specific Fields
+  piNetworkData: {
+    transactionId: String,
+    blockHash: String,
+    fromAddress: String,
+    toAddress: String,
+    network: {
+      type: String,
+      enum: ['Pi Mainnet', 'Pi Testnet', 'Pi Sandbox']
+    },
+    txUrl: String, // Transaction explorer URL
+    rawTransaction: mongoose.Schema.Types.Mixed // Raw transaction data
+  },
+
+  // Product/Service Information (if payment is for a product)
+  product: {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    productName: String,
+    productHash: String,
+    quantity: {
+      type: Number,
+      default: 1
+    }
+  },
+
+  // Service Information (if payment is for a service)
+  service: {
+    type: {
+      type: String,
+      enum: ['premium_tracking', 'api_access', 'custom_feature', 'other']
+    },
+    description: String,
+    duration: String, // e.g., "30 days", "1 year"
+    features: [String] // Array of features included
+  },
+
+  // Timestamps
+  expiresAt: {
+    type: Date,
+    default: function() {
+      // Default expiration: 15 minutes from creation
+      return new Date(Date.now() + 15 * 60 * 1000);
+    }
+  },
+  approvedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  failedAt: Date,
+  expiredAt: Date,
+
+  // Additional Metadata
+  ipAddress: String,
+  userAgent: String,
+  deviceInfo: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Retry and Error Information
+  retryCount: {
+    type: Number,
+    default: 0
+  },
+  maxRetries: {
+    type: Number,
+    default: 3
+  },
+  lastError: {
+    message: String,
+    code: String,
+    timestamp: Date
+  },
+
+  // Webhook and Callback URLs
+  callbackUrl: String,
+  webhookUrl: String,
+  webhookStatus: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'retrying'],
+    default: 'pending'
+  },
+  webhookAttempts: {
+    type: Number,
+    default: 0
+  },
+  webhookNextAttemptAt: Date,
+  webhookDeliveries: [{
+    event: String,
+    attempt: Number,
+    outcome: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    statusCode: Number,
+    error: String,
+    durationMs: Number,
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Payee (product owner at payment time; empty for PI TRACE services)
+  payee: {
+    uid: String
+  },
+
+  // Refund Information (summary of all refunds)
+  refund: {
+    amount: Number,
+    reason: String,
+    processedAt: Date,
+    refundTransactionId: String
+  },
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    reason: String,
+    refundTransactionId: {
+      type: String,
+      required: true
+    },
+    processedBy: {
+      uid: String,
+      username: String
+    },
+    processedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+
+}, {
+  timestamps: true, // Adds createdAt and updatedAt automatically
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for formatted amount
+paymentSchema.virtual('formattedAmount').get(function() {
+  return `${this.amount} ${this.currency}`;
+});
+
+// Virtual for payment age in minutes
+paymentSchema.virtual('ageInMinutes').get(function() {
+  return Math.floor((Date.now() - this.createdAt) / (1000 * 60));
+});
+
+// Virtual to check if payment is expired
+paymentSchema.virtual('isExpired').get(function() {
+  return this.expiresAt && new Date() > this.expiresAt;
+});
+
+// Virtual for payment status description
+paymentSchema.virtual('statusDescription').get(function() {
+  const descriptions = {
+    pending: 'Waiting for user approval',
+    approved: 'Payment approved, processing...',
+    completed: 'Payment completed successfully',
+    cancelled: 'Payment was cancelled',
+    expired: 'Payment expired',
+    failed: 'Payment failed',
+    partially_refunded: 'Payment was partially refunded',
+    refunded: 'Payment was refunded'
+  };
+  return descriptions[this.status] || 'Unknown status';
+});
+
+// Indexes for better query performance
+paymentSchema.index({ paymentId: 1 });
+paymentSchema.index({ identifier: 1 });
+paymentSchema.index({ 'user.uid': 1 });
+paymentSchema.index({ status: 1 });
+paymentSchema.index({ createdAt: 1 });
+paymentSchema.index({ expiresAt: 1 });
+paymentSchema.index({ 'piNetworkData.transactionId': 1 });
+paymentSchema.index({ 'product.productId': 1 });
+paymentSchema.index({ webhookStatus: 1, webhookNextAttemptAt: 1 });
+paymentSchema.index({ 'user.uid': 1, createdAt: -1 });
+paymentSchema.index({ 'user.uid': 1, amount: -1 });
+
+// Statuses that time out when expiresAt passes
+export const EXPIRABLE_STATUSES = ['pending', 'approved'];
+
+// Legal status transitions; statuses without an entry are final
+export const PAYMENT_STATUS_TRANSITIONS = {
+  pending: ['approved', 'cancelled', 'expired', 'failed'],
+  approved: ['completed', 'cancelled', 'expired', 'failed'],
+  completed: ['partially_refunded', 'refunded'],
+  partially_refunded: ['partially_refunded', 'refunded']
+};
+
+// Actor recorded for transitions made by background jobs
+export const SYSTEM_ACTOR = { type: 'system', uid: 'system', username: 'PI TRACE' };
+
+// Create a payment error carrying an HTTP status and machine-readable code
+function paymentError(message, code, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+// Normalize a user from a token (or null) into a status history actor
+function toActor(actor) {
+  if (!actor) {
+    return { type: 'anonymous' };
+  }
+  if (actor.type) {
+    return actor;
+  }
+  return { type: 'user', uid: actor.uid, username: actor.username };
+}
+
+// Static method to find pending payments that are expired
+paymentSchema.statics.findExpiredPendingPayments = function() {
+  return this.find({
+    status: 'pending',
+    expiresAt: { $lt: new Date() }
+  });
+};
+
+// Static method to find a batch of expired pending or approved payments
+paymentSchema.statics.findExpiredPayments = function(limit = 100, excludeIds = []) {
+  return this.find({
+    _id: { $nin: excludeIds },
+    status: { $in: EXPIRABLE_STATUSES },
+    expiresAt: { $lt: new Date() }
+  })
+    .sort({ expiresAt: 1 })
+    .limit(limit);
+};
+
+// Static method to mark payments as expired.
+// The status filter is repeated so payments that moved on meanwhile are left alone,
+// and each source status is updated separately so the history records it.
+paymentSchema.statics.markManyAsExpired = async function(ids, expiredAt = new Date()) {
+  let modifiedCount = 0;
+
+  for (const from of EXPIRABLE_STATUSES) {
+    const result = await this.updateMany(
+      {
+        _id: { $in: ids },
+        status: from,
+        expiresAt: { $lt: expiredAt }
+      },
+      {
+        $set: { status: 'expired', expiredAt },
+        $push: {
+          statusHistory: {
+            from,
+            to: 'expired',
+            actor: SYSTEM_ACTOR,
+            reason: 'Payment expired',
+            at: expiredAt
+          }
+        }
+      }
+    );
+    modifiedCount += result.modifiedCount;
+  }
+
+  return { modifiedCount };
+};
+
+// Sort options for payment history: field and direction
+export const PAYMENT_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  amount_desc: { field: 'amount', direction: -1 },
+  amount_asc: { field: 'amount', direction: 1 }
+};
+
+// Static method to build the filter for a user's payments
+paymentSchema.statics.buildUserFilter = function(uid, options = {}) {
+  const query = { 'user.uid': uid };
+  
+  if (options.status) {
+    const statuses = String(options.status).split(',');
+    query.status = statuses.length > 1 ? { $in: statuses } : statuses[0];
+  }
+
+  if (options.currency) {
+    query.currency = options.currency;
+  }
+
+  if (options.productId && mongoose.Types.ObjectId.isValid(options.productId)) {
+    query['product.productId'] = new mongoose.Types.ObjectId(options.productId);
+  }
+
+  const minAmount = parseFloat(options.minAmount);
+  const maxAmount = parseFloat(options.maxAmount);
+  if (!isNaN(minAmount) || !isNaN(maxAmount)) {
+    query.amount = {};
+    if (!isNaN(minAmount)) query.amount.$gte = minAmount;
+    if (!isNaN(maxAmount)) query.amount.$lte = maxAmount;
+  }
+
+  const from = options.from ? new Date(options.from) : null;
+  const to = options.to ? new Date(options.to) : null;
+  if ((from && !isNaN(from)) || (to && !isNaN(to))) {
+    query.createdAt = {};
+    if (from && !isNaN(from)) query.createdAt.$gte = from;
+    if (to && !isNaN(to)) query.createdAt.$lte = to;
+  }
+
+  return query;
+};
+
+// Static method to find payments by user
+// Options: filters (see buildUserFilter), sort, limit, and either skip or a decoded cursor
+paymentSchema.statics.findByUser = function(uid, options = {}) {
+  const { field, direction } = PAYMENT_SORTS[options.sort] || PAYMENT_SORTS.newest;
+  let query = this.buildUserFilter(uid, options);
+
+  if (options.cursor) {
+    query = { ...query, ...buildCursorFilter(field, direction, options.cursor) };
+  }
+
+  const find = this.find(query).sort({ [field]: direction, _id: direction });
+
+  if (options.skip) {
+    find.skip(options.skip);
+  }
+  
+  if (options.limit) {
+    find.limit(options.limit);
+  }
+  
+  return find;
+};
+
+// Static method to count payments by user with the same filters as findByUser
+paymentSchema.statics.countByUser = function(uid, options = {}) {
+  return this.countDocuments(this.buildUserFilter(uid, options));
+};
+
+// Static method to get payment statistics
+paymentSchema.statics.getStats = async function(uid = null) {
+  const matchStage = uid ? { 'user.uid': uid } : {};
+  
+  const stats = await this.aggregate([
+    { $match: matchStage },
+    {
+      $group: {
+        _id: '$status',
+        count: { $sum: 1 },
+        totalAmount: { $sum: '$amount' }
+      }
+    }
+  ]);
+  
+  const total = await this.countDocuments(matchStage);
+  const totalAmount = await this.aggregate([
+    { $match: matchStage },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  
+  return {
+    total,
+    totalAmount: totalAmount[0]?.total || 0,
+    byStatus: stats.reduce((acc, stat) => {
+      acc[stat._id] = {
+        count: stat.count,
+        totalAmount: stat.totalAmount
+      };
+      return acc;
+    }, {})
+  };
+};
+
+// Instance method to check if payment can be processed
+paymentSchema.methods.canProcess = function() {
+  return this.status === 'approved' && !this.isExpired;
+};
+
+// Instance method to check whether a status change is legal
+paymentSchema.methods.canTransitionTo = function(status) {
+  return (PAYMENT_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to change status, enforcing the state machine and recording history
+paymentSchema.methods.transitionTo = function(status, options = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw paymentError(
+      `Cannot change payment status from '${this.status}' to '${status}'`,
+      'ILLEGAL_STATUS_TRANSITION',
+      409
+    );
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    actor: toActor(options.actor),
+    reason: options.reason,
+    at: new Date()
+  });
+  this.status = status;
+
+  return this;
+};
+
+// Instance method to mark as completed
+paymentSchema.methods.markAsCompleted = function(transactionData = {}, options = {}) {
+  this.transitionTo('completed', options);
+  this.completedAt = new Date();
+  
+  if (transactionData.transactionId) {
+    this.piNetworkData = {
+      ...this.piNetworkData,
+      ...transactionData
+    };
+  }
+  
+  return this.save();
+};
+
+// Instance method to mark as failed
+paymentSchema.methods.markAsFailed = function(error, options = {}) {
+  this.transitionTo('failed', { ...options, reason: options.reason || error.message });
+  this.failedAt = new Date();
+  this.lastError = {
+    message: error.message,
+    code: error.code || 'UNKNOWN_ERROR',
+    timestamp: new Date()
+  };
+  this.retryCount += 1;
+  
+  return this.save();
+};
+
+// Instance method to check if can be retried
+paymentSchema.methods.canRetry = function() {
+  return this.status === 'failed' && 
+         this.retryCount < this.maxRetries && 
+         !this.isExpired;
+};
+
+// Virtual for the total amount refunded so far
+paymentSchema.virtual('refundedAmount').get(function() {
+  const total = (this.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.round(total * 1e7) / 1e7; // Pi amounts have 7 decimal places
+});
+
+// Virtual for the amount that can still be refunded
+paymentSchema.virtual('refundableAmount').get(function() {
+  return Math.max(Math.round((this.amount - this.refundedAmount) * 1e7) / 1e7, 0);
+});
+
+// Instance method to process a full or partial refund
+paymentSchema.methods.processRefund = function(amount, reason = '', options = {}) {
+  const { refundTransactionId, actor } = options;
+
+  if (!['completed', 'partially_refunded'].includes(this.status)) {
+    throw paymentError(
+      `Only completed payments can be refunded (status: ${this.status})`,
+      'PAYMENT_NOT_REFUNDABLE',
+      409
+    );
+  }
+
+  // Only an omitted amount means a full refund; 0, NaN and non-numbers are rejected
+  const refundAmount = amount === undefined ? this.refundableAmount : amount;
+  if (typeof refundAmount !== 'number' || !Number.isFinite(refundAmount) || refundAmount <= 0) {
+    throw paymentError('Refund amount must be a number greater than zero', 'INVALID_REFUND_AMOUNT');
+  }
+  if (refundAmount > this.refundableAmount) {
+    throw paymentError(
+      `Refund amount exceeds refundable amount of ${this.refundableAmount} ${this.currency}`,
+      'REFUND_EXCEEDS_AMOUNT'
+    );
+  }
+  if (!refundTransactionId) {
+    throw paymentError('Pi refund transaction ID is required', 'REFUND_TRANSACTION_REQUIRED');
+  }
+  if (this.refunds.some(refund => refund.refundTransactionId === refundTransactionId)) {
+    throw paymentError('Refund transaction already recorded', 'DUPLICATE_REFUND_TRANSACTION', 409);
+  }
+
+  const processedAt = new Date();
+  this.refunds.push({
+    amount: refundAmount,
+    reason,
+    refundTransactionId,
+    processedBy: actor ? { uid: actor.uid, username: actor.username } : undefined,
+    processedAt
+  });
+
+  this.transitionTo(this.refundableAmount > 0 ? 'partially_refunded' : 'refunded', {
+    actor,
+    reason: reason || `Refund of ${refundAmount} ${this.currency}`
+  });
+  this.refund = {
+    amount: this.refundedAmount,
+    reason,
+    processedAt,
+    refundTransactionId
+  };
+
+  // Force a version check so concurrent refunds can't both pass the amount check
+  this.increment();
+  return this.save();
+};
+
+// Pre-save middleware to generate paymentId if not provided
+paymentSchema.pre('save', function(next) {
+  if (!this.paymentId) {
+    const timestamp = Date.now().toString(36);
+    const random = Math.random().toString(36).substr(2, 9);
+    this.paymentId = `pay_${timestamp}_${random}`.toUpperCase();
+  }
+  
+  next();
+});
+
+// Remember the stored status so saves can't skip the state machine
+paymentSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+paymentSchema.post('save', function() {
+  this.$locals.savedStatus = this.status;
+});
+
+// Pre-save middleware to enforce legal status transitions
+paymentSchema.pre('save', function(next) {
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ to: this.status, reason: 'Payment created', at: new Date() });
+    }
+    return next();
+  }
+
+  const from = this.$locals.savedStatus;
+  if (this.isModified('status') && from !== this.status &&
+      !(PAYMENT_STATUS_TRANSITIONS[from] || []).includes(this.status)) {
+    return next(paymentError(
+      `Cannot change payment status from '${from}' to '${this.status}'`,
+      'ILLEGAL_STATUS_TRANSITION',
+      409
+    ));
+  }
+
+  next();
+});
+
+// Pre-save middleware to update timestamps based on status changes
+paymentSchema.pre('save', function(next) {
+  if (this.isModified('status')) {
+    const now = new Date();
+    
+    switch (this.status) {
+      case 'approved':
+        if (!this.approvedAt) this.approvedAt = now;
+        break;
+      case 'completed':
+        if (!this.completedAt) this.completedAt = now;
+        break;
+      case 'cancelled':
+        if (!this.cancelledAt) this.cancelledAt = now;
+        break;
+      case 'failed':
+        if (!this.failedAt) this.failedAt = now;
+        break;
+      case 'expired':
+        if (!this.expiredAt) this.expiredAt = now;
+        break;
+    }
+  }
+  
+  next();
+});
+
+// Static method to create a new payment from Pi Network data
+paymentSchema.statics.createFromPiPayment = function(piPayment, user, product = null) {
+  const paymentData = {
+    identifier: piPayment.identifier,
+    user: {
+      uid: user.uid,
+      username: user.username,
+      walletAddress: user.walletAddress
+    },
+    amount: piPayment.amount,
+    memo: piPayment.memo || '',
+    metadata: piPayment.metadata || {},
+    status: 'pending'
+  };
+  
+  if (product) {
+    paymentData.product = {
+      productId: product._id,
+      productName: product.name,
+      productHash: product.hash,
+      quantity: 1
+    };
+    paymentData.payee = { uid: product.owner };
+  }
+  
+  return this.create(paymentData);
+};
+
+// Payee of the payment; older payments fall back to the product's owner
+paymentSchema.methods.getPayeeUid = async function() {
+  if (this.payee?.uid) {
+    return this.payee.uid;
+  }
+  if (this.product?.productId) {
+    const product = await mongoose.model('Product').findById(this.product.productId).select('owner');
+    return product ? product.owner : null;
+  }
+  return null;
+};
+
+// Method to format payment for frontend
+paymentSchema.methods.toPaymentResponse = function() {
+  const paymentObj = this.toObject();
+  
+  // Remove sensitive fields
+  delete paymentObj.piNetworkData?.rawTransaction;
+  delete paymentObj.webhookDeliveries;
+  delete paymentObj.__v;
+  
+  // Add virtuals
+  paymentObj.formattedAmount = this.formattedAmount;
+  paymentObj.ageInMinutes = this.ageInMinutes;
+  paymentObj.isExpired = this.isExpired;
+  paymentObj.statusDescription = this.statusDescription;
+  paymentObj.refundedAmount = this.refundedAmount;
+  paymentObj.refundableAmount = this.refundableAmount;
+  
+  return paymentObj;
+};
+
+export default mongoose.models.Payment || mongoose.model('Payment', paymentSchema);
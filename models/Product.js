@@ -0,0 +1,788 @@
+import mongoose from 'mongoose';
+import { computeStepHash, verifyHashChain, HASH_ALGORITHM } from '../lib/hashChain.js';
+import { parseLimit, encodeCursor, encodeOffsetCursor, decodeCursor, buildCursorFilter } from '../lib/pagination.js';
+import { toGeoPoint, buildGeoWithin, isWithinArea } from '../lib/geo.js';
+import { can, canRecordStage } from '../lib/permissions.js';
+
+// Supply chain stages in the order a product moves through them
+export const SUPPLY_CHAIN_STAGES = ['manufactured', 'shipped', 'in_transit', 'delivered'];
+
+// Stages that may follow a given stage (null = empty supply chain)
+const STAGE_TRANSITIONS = {
+  null: ['manufactured'],
+  manufactured: ['shipped'],
+  shipped: ['in_transit', 'delivered'],
+  in_transit: ['in_transit', 'delivered'],
+  delivered: []
+};
+
+// GeoJSON Point stored next to a human-readable place name
+const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    required: true
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: ([lng, lat, ...rest]) => rest.length === 0 &&
+        lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+const supplyChainStepSchema = new mongoose.Schema({
+  stage: {
+    type: String,
+    required: true,
+    enum: SUPPLY_CHAIN_STAGES
+  },
+  location: String,
+  geo: pointSchema,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  description: String,
+  status: {
+    type: String,
+    default: 'pending'
+  },
+  recordedBy: {
+    uid: String,
+    username: String
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Whose attestation this step is: the owner, an authorized participant, or an admin
+  attestation: {
+    party: {
+      type: String,
+      enum: ['owner', 'participant', 'admin']
+    },
+    organization: String
+  },
+  // ID of the external event the step was imported from, e.g. an EPCIS eventID
+  eventId: String,
+  // Tamper-evident hash chain, seeded from the product hash
+  previousHash: String,
+  hash: String
+});
+
+// How a product came from a parent: split off from it, or a lot assembled from it
+export const LINEAGE_RELATIONS = ['split', 'lot'];
+
+// Link from a product to a parent it inherits provenance from
+const parentLinkSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  relation: {
+    type: String,
+    enum: LINEAGE_RELATIONS,
+    required: true
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A user or organization the owner authorizes to record certain stages
+const participantSchema = new mongoose.Schema({
+  uid: String,
+  username: String,
+  organization: String,
+  stages: {
+    type: [{
+      type: String,
+      enum: SUPPLY_CHAIN_STAGES
+    }],
+    validate: {
+      validator: stages => stages.length > 0,
+      message: 'A participant needs at least one stage'
+    }
+  },
+  addedBy: {
+    uid: String,
+    username: String
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+participantSchema.pre('validate', function(next) {
+  if (Boolean(this.uid) === Boolean(this.organization)) {
+    this.invalidate('uid', 'A participant is either a user (uid) or an organization');
+  }
+  next();
+});
+
+// A party holding or receiving custody of a product
+const custodyPartySchema = new mongoose.Schema({
+  uid: {
+    type: String,
+    required: true
+  },
+  username: String
+}, { _id: false });
+
+// A custody transfer proposed by the owner and awaiting the recipient
+const custodyTransferSchema = new mongoose.Schema({
+  from: custodyPartySchema,
+  to: custodyPartySchema,
+  note: String,
+  proposedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A completed change of ownership
+const custodyEntrySchema = new mongoose.Schema({
+  from: custodyPartySchema,
+  to: custodyPartySchema,
+  note: String,
+  proposedAt: Date,
+  transferredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const productSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: ['electronics', 'clothing', 'food', 'other']
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  unit: {
+    type: String,
+    default: 'pcs',
+    enum: ['pcs', 'kg', 'box', 'unit']
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  origin: {
+    country: {
+      type: String,
+      default: 'Indonesia'
+    },
+    city: String,
+    geo: pointSchema
+  },
+  hash: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true // Seeds the supply chain hash chain
+  },
+  qrCode: String,
+  uploadDate: {
+    type: Date,
+    default: Date.now
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  supplyChain: [supplyChainStepSchema],
+  // Parties other than the owner allowed to record supply chain steps
+  participants: [participantSchema],
+  // Transfer awaiting the recipient's acceptance, and past owners in order
+  pendingTransfer: custodyTransferSchema,
+  custodyHistory: [custodyEntrySchema],
+  // Lots are assembled from other products; items are single products or split portions
+  kind: {
+    type: String,
+    enum: ['item', 'lot'],
+    default: 'item'
+  },
+  parents: [parentLinkSchema],
+  // Stage a split portion starts from, so its own chain continues where the parent was
+  inheritedStage: {
+    type: String,
+    enum: SUPPLY_CHAIN_STAGES
+  },
+  // Stage of the latest supply chain step, kept for filtering
+  currentStage: {
+    type: String,
+    enum: SUPPLY_CHAIN_STAGES
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for listing, filtering and search
+productSchema.index({ isActive: 1, createdAt: -1 });
+productSchema.index({ category: 1 });
+productSchema.index({ 'origin.country': 1 });
+productSchema.index({ 'origin.geo': '2dsphere' });
+productSchema.index({ 'supplyChain.geo': '2dsphere' });
+productSchema.index({ price: 1 });
+productSchema.index({ owner: 1 });
+productSchema.index({ currentStage: 1 });
+productSchema.index({ 'pendingTransfer.to.uid': 1 });
+productSchema.index({ 'participants.uid': 1 });
+productSchema.index({ 'parents.product': 1 });
+productSchema.index({ 'participants.organization': 1 });
+productSchema.index({ name: 'text', description: 'text' }, { weights: { name: 5, description: 1 } });
+
+// Sort options for product listings: field and direction
+export const PRODUCT_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  price_asc: { field: 'price', direction: 1 },
+  price_desc: { field: 'price', direction: -1 },
+  name: { field: 'name', direction: 1 },
+  relevance: null // Text score; only with a search query
+};
+
+// Instance method to generate the product hash if not provided
+productSchema.methods.ensureHash = function() {
+  // Without a category, validation reports the missing field instead
+  if (!this.hash && this.category) {
+    const prefix = this.category.substring(0, 3).toUpperCase();
+    const random = Math.random().toString(36).substr(2, 9).toUpperCase();
+    this.hash = `${prefix}_${random}`;
+  }
+  return this.hash;
+};
+
+// Generate hash before validation so the required check passes
+productSchema.pre('validate', function(next) {
+  this.ensureHash();
+  const last = this.lastSupplyChainStep();
+  this.currentStage = last ? last.stage : this.inheritedStage;
+  next();
+});
+
+// Create a supply chain error carrying an HTTP status and machine-readable code
+function supplyChainError(message, code, status = 400) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+// Instance method to get the most recent supply chain step
+productSchema.methods.lastSupplyChainStep = function() {
+  return this.supplyChain.length ? this.supplyChain[this.supplyChain.length - 1] : null;
+};
+
+// Instance method to validate a new step against the current supply chain
+productSchema.methods.validateSupplyChainStep = function(step) {
+  const last = this.lastSupplyChainStep();
+  const previousStage = last ? last.stage : this.inheritedStage || null;
+  const allowed = STAGE_TRANSITIONS[previousStage];
+
+  if (!SUPPLY_CHAIN_STAGES.includes(step.stage)) {
+    throw supplyChainError(`Invalid stage: ${step.stage}`, 'INVALID_STAGE');
+  }
+
+  if (!allowed.includes(step.stage)) {
+    throw supplyChainError(
+      previousStage
+        ? `Stage '${step.stage}' cannot follow '${previousStage}'`
+        : `Supply chain must start with 'manufactured'`,
+      'INVALID_STAGE_TRANSITION',
+      409
+    );
+  }
+
+  const timestamp = step.timestamp ? new Date(step.timestamp) : new Date();
+  if (isNaN(timestamp.getTime())) {
+    throw supplyChainError('Invalid step timestamp', 'INVALID_TIMESTAMP');
+  }
+  if (timestamp > new Date()) {
+    throw supplyChainError('Step timestamp cannot be in the future', 'INVALID_TIMESTAMP');
+  }
+  if (last && timestamp < last.timestamp) {
+    throw supplyChainError(
+      'Step timestamp cannot be earlier than the previous step',
+      'BACKDATED_TIMESTAMP'
+    );
+  }
+
+  return timestamp;
+};
+
+// Instance method to find the participant entry authorizing a user, by uid first, then organization
+productSchema.methods.findParticipant = function(user) {
+  return this.participants.find(participant => participant.uid && participant.uid === user.uid) ||
+    this.participants.find(participant =>
+      participant.organization && participant.organization === user.organization) ||
+    null;
+};
+
+// Instance method to get the attestation a participant may record a stage with,
+// or null if they aren't authorized for that stage
+productSchema.methods.participantAttestation = function(user, stage) {
+  const participant = this.findParticipant(user);
+  if (!participant || !participant.stages.includes(stage)) {
+    return null;
+  }
+  return {
+    party: 'participant',
+    organization: participant.organization || user.organization || undefined
+  };
+};
+
+// Instance method to get the attestation a user records a stage with:
+// owners (and admins) record any stage, participants only the stages they were
+// authorized for. Returns null if the user may not record the stage.
+productSchema.methods.resolveAttestation = function(user, stage) {
+  if (can(user, 'supplyChain:append', { ownerId: this.owner })) {
+    return { party: this.owner === user.uid ? 'owner' : 'admin' };
+  }
+  if (can(user, 'supplyChain:append')) {
+    return this.participantAttestation(user, stage);
+  }
+  return null;
+};
+
+// Instance method to add a participant, or replace the stages of an existing one
+productSchema.methods.setParticipant = async function(participant, addedBy) {
+  const existing = this.participants.find(entry =>
+    participant.uid ? entry.uid === participant.uid : entry.organization === participant.organization
+  );
+
+  if (existing) {
+    existing.stages = participant.stages;
+  } else {
+    this.participants.push({
+      uid: participant.uid,
+      username: participant.username,
+      organization: participant.organization,
+      stages: participant.stages,
+      addedBy: { uid: addedBy.uid, username: addedBy.username },
+      addedAt: new Date()
+    });
+  }
+
+  await this.save();
+  return existing || this.participants[this.participants.length - 1];
+};
+
+// Instance method to remove a participant
+productSchema.methods.removeParticipant = async function(participantId) {
+  const participant = this.participants.id(participantId);
+  if (!participant) {
+    throw supplyChainError('Participant not found', 'PARTICIPANT_NOT_FOUND', 404);
+  }
+
+  participant.deleteOne();
+  await this.save();
+  return participant;
+};
+
+// Instance method to build a validated step recorded by the given user
+productSchema.methods.buildSupplyChainStep = function(step, actor, attestation = { party: 'owner' }) {
+  const timestamp = this.validateSupplyChainStep(step);
+  if (!canRecordStage(actor, step.stage)) {
+    throw supplyChainError(
+      `Your role (${actor.role}) cannot record the '${step.stage}' stage`,
+      'STAGE_NOT_ALLOWED',
+      403
+    );
+  }
+
+  const last = this.lastSupplyChainStep();
+  const newStep = {
+    stage: step.stage,
+    location: step.location,
+    geo: toGeoPoint(step.geo),
+    description: step.description,
+    status: step.status || 'pending',
+    timestamp,
+    recordedBy: {
+      uid: actor.uid,
+      username: actor.username
+    },
+    recordedAt: new Date(),
+    attestation: {
+      party: attestation.party,
+      organization: attestation.organization
+    },
+    eventId: step.eventId ? String(step.eventId) : undefined,
+    previousHash: last ? last.hash : this.ensureHash()
+  };
+  newStep.hash = computeStepHash(newStep, newStep.previousHash);
+
+  return newStep;
+};
+
+// Instance method to append a step to the supply chain.
+// The push is conditional on the chain length so concurrent appends
+// cannot both pass validation against the same previous step.
+productSchema.methods.appendSupplyChainStep = async function(step, actor, attestation) {
+  const newStep = this.buildSupplyChainStep(step, actor, attestation);
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, supplyChain: { $size: this.supplyChain.length } },
+    { $push: { supplyChain: newStep }, $set: { currentStage: newStep.stage } },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw supplyChainError(
+      'Supply chain was modified concurrently. Please retry.',
+      'CONCURRENT_MODIFICATION',
+      409
+    );
+  }
+
+  return updated;
+};
+
+// Instance method to propose handing the product to another user.
+// Only one transfer can be pending at a time.
+productSchema.methods.proposeTransfer = async function(from, to, note) {
+  if (this.owner !== from.uid) {
+    throw supplyChainError('Only the current owner can transfer this product', 'NOT_PRODUCT_OWNER', 403);
+  }
+  if (to.uid === this.owner) {
+    throw supplyChainError('Product is already owned by this user', 'INVALID_TRANSFER_RECIPIENT');
+  }
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, owner: from.uid, pendingTransfer: null },
+    {
+      $set: {
+        pendingTransfer: {
+          from: { uid: from.uid, username: from.username },
+          to: { uid: to.uid, username: to.username },
+          note,
+          proposedAt: new Date()
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw supplyChainError(
+      'A transfer is already pending for this product',
+      'TRANSFER_ALREADY_PENDING',
+      409
+    );
+  }
+
+  return updated;
+};
+
+// Instance method to accept a pending transfer; ownership moves to the recipient
+// and the transfer is appended to the custody history in the same update.
+// Participants were authorized by the previous owner, so the new owner starts without any.
+productSchema.methods.acceptTransfer = async function(user) {
+  const transfer = this.pendingTransfer;
+  if (!transfer) {
+    throw supplyChainError('No transfer is pending for this product', 'NO_PENDING_TRANSFER', 404);
+  }
+  if (transfer.to.uid !== user.uid) {
+    throw supplyChainError('Only the recipient can accept this transfer', 'NOT_TRANSFER_RECIPIENT', 403);
+  }
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, owner: transfer.from.uid, 'pendingTransfer._id': transfer._id },
+    {
+      $set: { owner: user.uid, participants: [] },
+      $unset: { pendingTransfer: 1 },
+      $push: {
+        custodyHistory: {
+          from: transfer.from,
+          to: transfer.to,
+          note: transfer.note,
+          proposedAt: transfer.proposedAt,
+          transferredAt: new Date()
+        }
+      }
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw supplyChainError(
+      'Transfer was modified concurrently. Please retry.',
+      'CONCURRENT_MODIFICATION',
+      409
+    );
+  }
+
+  return updated;
+};
+
+// Instance method to drop a pending transfer: rejected by the recipient
+// or cancelled by the owner
+productSchema.methods.clearTransfer = async function(user) {
+  const transfer = this.pendingTransfer;
+  if (!transfer) {
+    throw supplyChainError('No transfer is pending for this product', 'NO_PENDING_TRANSFER', 404);
+  }
+  if (transfer.to.uid !== user.uid && transfer.from.uid !== user.uid) {
+    throw supplyChainError('Only the owner or recipient can close this transfer', 'NOT_TRANSFER_PARTY', 403);
+  }
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'pendingTransfer._id': transfer._id },
+    { $unset: { pendingTransfer: 1 } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw supplyChainError(
+      'Transfer was modified concurrently. Please retry.',
+      'CONCURRENT_MODIFICATION',
+      409
+    );
+  }
+
+  return updated;
+};
+
+// Static method to build the filter for a product listing
+productSchema.statics.buildListFilter = function(filters = {}) {
+  const query = { isActive: true };
+
+  if (filters.q) {
+    query.$text = { $search: filters.q };
+  }
+  if (filters.category) {
+    query.category = filters.category;
+  }
+  if (filters.country) {
+    query['origin.country'] = filters.country;
+  }
+  if (filters.owner) {
+    query.owner = filters.owner;
+  }
+  if (filters.stage) {
+    query.currentStage = filters.stage;
+  }
+
+  const minPrice = parseFloat(filters.minPrice);
+  const maxPrice = parseFloat(filters.maxPrice);
+  if (!isNaN(minPrice) || !isNaN(maxPrice)) {
+    query.price = {};
+    if (!isNaN(minPrice)) query.price.$gte = minPrice;
+    if (!isNaN(maxPrice)) query.price.$lte = maxPrice;
+  }
+
+  const from = filters.from ? new Date(filters.from) : null;
+  const to = filters.to ? new Date(filters.to) : null;
+  if ((from && !isNaN(from)) || (to && !isNaN(to))) {
+    query.createdAt = {};
+    if (from && !isNaN(from)) query.createdAt.$gte = from;
+    if (to && !isNaN(to)) query.createdAt.$lte = to;
+  }
+
+  return query;
+};
+
+// Static method to list active products a page at a time
+productSchema.statics.listProducts = async function(options = {}) {
+  const limit = parseLimit(options.limit);
+  const filter = this.buildListFilter(options);
+  const sortName = options.sort || (options.q ? 'relevance' : 'newest');
+
+  if (!(sortName in PRODUCT_SORTS) || (sortName === 'relevance' && !options.q)) {
+    const error = new Error(`Invalid sort: ${sortName}`);
+    error.code = 'INVALID_SORT';
+    error.status = 400;
+    throw error;
+  }
+
+  const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+  const total = await this.countDocuments(filter);
+  let products;
+  let nextCursor = null;
+
+  if (sortName === 'relevance') {
+    // Text scores aren't stable sort keys, so relevance pages by offset
+    const offset = cursor?.offset || 0;
+    products = await this.find(filter, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: 1 })
+      .skip(offset)
+      .limit(limit + 1);
+    if (products.length > limit) {
+      products = products.slice(0, limit);
+      nextCursor = encodeOffsetCursor(offset + limit);
+    }
+  } else {
+    const { field, direction } = PRODUCT_SORTS[sortName];
+    const pageFilter = cursor && cursor.id
+      ? { ...filter, ...buildCursorFilter(field, direction, cursor) }
+      : filter;
+    products = await this.find(pageFilter)
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1);
+    if (products.length > limit) {
+      products = products.slice(0, limit);
+      nextCursor = encodeCursor(products[products.length - 1], field);
+    }
+  }
+
+  return { products, nextCursor, total, limit, sort: sortName };
+};
+
+// Static method to find active products with a supply chain step inside an area
+// (a circle { center, radius } or { bbox }), with the steps that matched
+productSchema.statics.findByStepLocation = async function(area, options = {}) {
+  const limit = parseLimit(options.limit);
+  // With a stage, the located step and the stage must belong to the same step
+  const filter = options.stage
+    ? { isActive: true, supplyChain: { $elemMatch: { geo: buildGeoWithin(area), stage: options.stage } } }
+    : { isActive: true, 'supplyChain.geo': buildGeoWithin(area) };
+
+  const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+  const pageFilter = cursor && cursor.id
+    ? { ...filter, ...buildCursorFilter('createdAt', -1, cursor) }
+    : filter;
+
+  let products = await this.find(pageFilter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  let nextCursor = null;
+  if (products.length > limit) {
+    products = products.slice(0, limit);
+    nextCursor = encodeCursor(products[products.length - 1], 'createdAt');
+  }
+
+  const results = products.map(product => ({
+    product,
+    matchedSteps: product.supplyChain.filter(step =>
+      isWithinArea(step.geo, area) && (!options.stage || step.stage === options.stage)
+    )
+  }));
+
+  return { results, nextCursor, limit };
+};
+
+// Instance method to build the product's route as a GeoJSON LineString Feature,
+// starting at the origin and following the located supply chain steps in order
+productSchema.methods.toRouteFeature = function() {
+  const stops = [];
+  if (this.origin?.geo?.coordinates?.length) {
+    stops.push({
+      stage: 'origin',
+      location: [this.origin.city, this.origin.country].filter(Boolean).join(', '),
+      coordinates: this.origin.geo.coordinates
+    });
+  }
+  for (const step of this.supplyChain) {
+    if (step.geo?.coordinates?.length) {
+      stops.push({
+        stage: step.stage,
+        location: step.location,
+        timestamp: step.timestamp,
+        coordinates: step.geo.coordinates
+      });
+    }
+  }
+
+  // A LineString needs at least two positions
+  return {
+    type: 'Feature',
+    geometry: stops.length >= 2
+      ? { type: 'LineString', coordinates: stops.map(stop => [...stop.coordinates]) }
+      : null,
+    properties: {
+      hash: this.hash,
+      name: this.name,
+      currentStage: this.currentStage || null,
+      stops: stops.map(({ coordinates, ...stop }) => stop)
+    }
+  };
+};
+
+// Instance method to recompute the supply chain hash chain
+productSchema.methods.verifySupplyChain = function() {
+  return {
+    algorithm: HASH_ALGORITHM,
+    seed: this.hash,
+    ...verifyHashChain(this.hash, this.supplyChain)
+  };
+};
+
+// Format a supply chain step for public, unauthenticated consumers
+export function toPublicStep(step) {
+  return {
+    stage: step.stage,
+    location: step.location,
+    geo: step.geo || null,
+    description: step.description,
+    status: step.status,
+    timestamp: step.timestamp,
+    recordedBy: step.recordedBy?.username || null,
+    // Steps from before attestation existed were recorded on the owner's behalf
+    attestedBy: step.attestation?.party || 'owner',
+    organization: step.attestation?.organization || null,
+    hash: step.hash
+  };
+}
+
+// Method to format product for public, unauthenticated consumers
+productSchema.methods.toPublicView = function(ownerUsername = null) {
+  return {
+    name: this.name,
+    category: this.category,
+    description: this.description,
+    origin: {
+      country: this.origin?.country,
+      city: this.origin?.city,
+      geo: this.origin?.geo || null
+    },
+    hash: this.hash,
+    uploadDate: this.uploadDate,
+    owner: ownerUsername,
+    supplyChain: this.supplyChain.map(toPublicStep),
+    kind: this.kind,
+    parents: this.parents.map(link => ({
+      hash: link.hash,
+      relation: link.relation,
+      linkedAt: link.linkedAt
+    })),
+    custody: this.custodyHistory.map(entry => ({
+      from: entry.from?.username || null,
+      to: entry.to?.username || null,
+      transferredAt: entry.transferredAt
+    }))
+  };
+};
+
+export default mongoose.models.Product || mongoose.model('Product', productSchema);
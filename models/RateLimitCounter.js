@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Request counter for one key in one fixed window; two adjacent windows
+// give a sliding-window estimate
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+
+// MongoDB removes counters once they can no longer affect the sliding window
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.RateLimitCounter || mongoose.model('RateLimitCounter', rateLimitCounterSchema);
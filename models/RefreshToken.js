@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema({
+  // SHA-256 of the token; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  uid: {
+    type: String,
+    required: true
+  },
+  // All tokens rotated from the same login share a family (the session ID)
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  rotatedAt: Date,
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'reuse_detected', 'admin']
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ uid: 1 });
+
+// MongoDB removes tokens a while after they expire (kept for reuse detection meanwhile)
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default mongoose.models.RefreshToken || mongoose.model('RefreshToken', refreshTokenSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ROLES } from '../lib/permissions.js';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -17,6 +18,21 @@ const userSchema = new mongoose.Schema({
     enum: ['pi', 'guest'],
     required: true
   },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'user'
+  },
+  // Organization the user acts for, assigned by an admin
+  organization: {
+    type: String,
+    trim: true
+  },
+  // Signs this user's payment webhooks; shown once when generated
+  webhookSecret: {
+    type: String,
+    select: false
+  },
   lastLogin: {
     type: Date,
     default: Date.now
@@ -24,7 +40,10 @@ const userSchema = new mongoose.Schema({
   products: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
-  }]
+  }],
+  // Set when a guest account is upgraded and merged into a Pi account
+  retiredAt: Date,
+  mergedInto: String
 }, {
   timestamps: true
 });
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+
+// The signing key is read when the module loads
+process.env.VC_SIGNING_SECRET = 'test-signing-secret';
+const {
+    canonicalizeJson,
+    issueProvenanceCredential,
+    verifyCredentialSignature,
+    diffProvenanceSubject,
+    buildDidDocument
+} = await import('../lib/credentials.js');
+
+// Minimal product document with an intact, empty supply chain
+const product = {
+    hash: 'PT-123',
+    name: 'Coffee',
+    category: 'food',
+    owner: 'secret-uid',
+    origin: { country: 'KE', city: 'Nyeri' },
+    supplyChain: [],
+    verifySupplyChain: () => ({ valid: true, headHash: 'PT-123' })
+};
+
+test('canonical JSON sorts keys and drops undefined properties', () => {
+    assert.equal(canonicalizeJson({ b: 1, a: [1, undefined, { d: undefined, c: 'x' }] }), '{"a":[1,null,{"c":"x"}],"b":1}');
+});
+
+test('an issued credential verifies', () => {
+    const credential = issueProvenanceCredential(product, { username: 'farmer' });
+    assert.equal(credential.proof.cryptosuite, 'eddsa-jcs-2022');
+    assert.deepEqual(verifyCredentialSignature(credential), { valid: true, reason: null });
+});
+
+test('credentials name the owner without publishing the uid', () => {
+    const credential = issueProvenanceCredential(product, { uid: 'secret-uid', username: 'farmer' });
+    assert.deepEqual(credential.credentialSubject.owner, { name: 'farmer' });
+    assert.ok(!JSON.stringify(credential).includes('secret-uid'));
+});
+
+test('changing any signed content invalidates the signature', () => {
+    const credential = issueProvenanceCredential(product, { username: 'farmer' });
+    const tampered = structuredClone(credential);
+    tampered.credentialSubject.name = 'Fake coffee';
+    assert.deepEqual(verifyCredentialSignature(tampered), { valid: false, reason: 'signature_mismatch' });
+
+    const redated = structuredClone(credential);
+    redated.proof.created = '2000-01-01T00:00:00Z';
+    assert.equal(verifyCredentialSignature(redated).valid, false);
+});
+
+test('proofs from other issuers or suites are refused', () => {
+    const credential = issueProvenanceCredential(product, { username: 'farmer' });
+    assert.equal(verifyCredentialSignature({ ...credential, issuer: 'did:web:evil.example' }).reason, 'unknown_issuer');
+    assert.equal(verifyCredentialSignature({ ...credential, proof: { ...credential.proof, cryptosuite: 'x' } }).reason,
+        'unsupported_proof');
+    assert.equal(verifyCredentialSignature({ ...credential, proof: { ...credential.proof, proofValue: 'zabc' } }).reason,
+        'malformed_proof_value');
+    assert.equal(verifyCredentialSignature({ ...credential, proof: undefined }).reason, 'missing_proof');
+});
+
+test('the subject diff names the fields that changed', () => {
+    const credential = issueProvenanceCredential(product, { username: 'farmer' });
+    const current = issueProvenanceCredential({ ...product, name: 'Tea' }, { username: 'farmer' }).credentialSubject;
+    assert.deepEqual(diffProvenanceSubject(credential.credentialSubject, current), ['name']);
+});
+
+test('the DID document publishes the key that verifies credentials', () => {
+    const document = buildDidDocument();
+    assert.equal(document.verificationMethod[0].publicKeyJwk.crv, 'Ed25519');
+    assert.equal(document.assertionMethod[0], document.verificationMethod[0].id);
+    assert.equal(document.verificationMethod[0].publicKeyJwk.d, undefined);
+});
+
+test('without a configured key nothing is issued, verified or published', () => {
+    const script = `
+        const credentials = await import(${JSON.stringify(new URL('../lib/credentials.js', import.meta.url).href)});
+        const codes = [];
+        for (const run of [() => credentials.buildDidDocument(), () => credentials.verifyCredentialSignature({})]) {
+            try { run(); codes.push('ok'); } catch (error) { codes.push(error.code + ':' + error.status); }
+        }
+        console.log(codes.join(','));
+    `;
+    const { VC_SIGNING_SECRET, VC_PRIVATE_KEY, ...env } = process.env;
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], { env }).toString().trim();
+    assert.equal(output, 'SIGNING_KEY_NOT_CONFIGURED:503,SIGNING_KEY_NOT_CONFIGURED:503');
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, parseCSVRecords } from '../lib/csv.js';
+
+test('quoted fields hold commas, doubled quotes and line breaks', () => {
+    assert.deepEqual(
+        parseCSVRecords('a,b\r\n"x, y","say ""hi""\nthere"\n'),
+        [['a', 'b'], ['x, y', 'say "hi"\nthere']]
+    );
+});
+
+test('a byte order mark and blank lines are ignored', () => {
+    assert.deepEqual(parseCSVRecords('﻿a\n\n1\n'), [['a'], ['1']]);
+});
+
+test('an unterminated quote is an INVALID_CSV error', () => {
+    assert.throws(() => parseCSVRecords('a\n"open'), { code: 'INVALID_CSV', status: 400 });
+});
+
+test('dotted headers become nested fields and empty cells are left out', () => {
+    assert.deepEqual(
+        parseCSV('name,origin.country,origin.city,price\nCoffee,KE,,12\n'),
+        [{ name: 'Coffee', origin: { country: 'KE' }, price: '12' }]
+    );
+});
+
+test('rows must have as many fields as the header', () => {
+    assert.throws(() => parseCSV('a,b\n1\n'), { code: 'INVALID_CSV' });
+});
+
+test('an empty header column is rejected', () => {
+    assert.throws(() => parseCSV('a,,b\n1,2,3\n'), { code: 'INVALID_CSV' });
+});
+
+test('no text gives no rows', () => {
+    assert.deepEqual(parseCSV(''), []);
+});
+
+test('headers that reach Object.prototype are rejected', () => {
+    for (const column of ['__proto__.isAdmin', 'constructor.prototype.isAdmin', 'origin.__proto__']) {
+        assert.throws(() => parseCSV(`${column}\ntrue\n`), { code: 'INVALID_CSV' });
+    }
+    assert.equal(({}).isAdmin, undefined);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    toEpcUri,
+    hashFromEpc,
+    toObjectEvent,
+    fromObjectEvent,
+    buildEPCISDocument
+} from '../lib/epcis.js';
+
+const product = { hash: 'PT-abc/1' };
+const step = {
+    stage: 'shipped',
+    location: 'Mombasa',
+    geo: { type: 'Point', coordinates: [39.66, -4.04] },
+    description: 'Loaded',
+    status: 'completed',
+    timestamp: new Date('2024-03-01T10:00:00Z'),
+    recordedAt: new Date('2024-03-01T10:05:00Z'),
+    recordedBy: { uid: 'u1', username: 'farmer' },
+    attestation: { party: 'participant' },
+    hash: 'step-hash',
+    previousHash: 'prev-hash'
+};
+
+test('EPC URIs round-trip product hashes and ignore foreign EPCs', () => {
+    assert.equal(hashFromEpc(toEpcUri(product.hash)), product.hash);
+    assert.equal(hashFromEpc('urn:epc:id:sgtin:0614141.107346.2017'), null);
+    assert.equal(hashFromEpc(42), null);
+});
+
+test('a step becomes an ObjectEvent with CBV terms and no uid', () => {
+    const event = toObjectEvent(product, step);
+    assert.equal(event.type, 'ObjectEvent');
+    assert.equal(event.action, 'OBSERVE');
+    assert.equal(event.bizStep, 'shipping');
+    assert.equal(event.disposition, 'in_transit');
+    assert.deepEqual(event.epcList, [toEpcUri(product.hash)]);
+    assert.equal(event.readPoint.id, 'geo:-4.04,39.66');
+    assert.equal(event['pitrace:attestedBy'], 'participant');
+    assert.equal(event['pitrace:recordedBy'], 'farmer');
+    assert.ok(!JSON.stringify(event).includes('u1'));
+});
+
+test('an exported event imports back as the same step', () => {
+    const { hashes, step: imported } = fromObjectEvent(toObjectEvent(product, step));
+    assert.deepEqual(hashes, [product.hash]);
+    assert.equal(imported.stage, 'shipped');
+    assert.equal(imported.location, 'Mombasa');
+    assert.deepEqual(imported.geo.coordinates, [39.66, -4.04]);
+    assert.equal(imported.description, 'Loaded');
+    assert.equal(imported.status, 'completed');
+});
+
+test('business steps in URI form map to stages', () => {
+    const base = { type: 'ObjectEvent', epcList: [toEpcUri('h1')], eventTime: '2024-01-01T00:00:00Z' };
+    assert.equal(fromObjectEvent({ ...base, bizStep: 'https://ref.gs1.org/cbv/BizStep-receiving' }).step.stage, 'delivered');
+    assert.equal(fromObjectEvent({ ...base, bizStep: 'urn:epcglobal:cbv:bizstep:departing' }).step.stage, 'shipped');
+});
+
+test('events that cannot become steps are rejected with a code', () => {
+    const base = { type: 'ObjectEvent', epcList: [toEpcUri('h1')], bizStep: 'shipping', eventTime: '2024-01-01T00:00:00Z' };
+    const cases = [
+        [{ ...base, type: 'AggregationEvent' }, 'UNSUPPORTED_EVENT_TYPE'],
+        [{ ...base, epcList: ['urn:other:1'] }, 'UNKNOWN_EPC'],
+        [{ ...base, bizStep: 'destroying' }, 'UNSUPPORTED_BIZ_STEP'],
+        [{ ...base, eventTime: 'yesterday' }, 'INVALID_EPCIS_EVENT'],
+        [{ ...base, 'pitrace:status': { $ne: null } }, 'INVALID_EPCIS_EVENT'],
+        [{ ...base, 'pitrace:description': 5 }, 'INVALID_EPCIS_EVENT'],
+        [{ ...base, eventID: ['x'] }, 'INVALID_EPCIS_EVENT']
+    ];
+    for (const [event, code] of cases) {
+        assert.throws(() => fromObjectEvent(event), { code, status: 400 });
+    }
+});
+
+test('documents list events oldest first', () => {
+    const document = buildEPCISDocument([
+        { eventTime: '2024-02-01T00:00:00Z' },
+        { eventTime: '2024-01-01T00:00:00Z' }
+    ]);
+    assert.equal(document.type, 'EPCISDocument');
+    assert.equal(document.schemaVersion, '2.0');
+    assert.deepEqual(document.epcisBody.eventList.map(event => event.eventTime),
+        ['2024-01-01T00:00:00Z', '2024-02-01T00:00:00Z']);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeStep, computeStepHash, verifyHashChain } from '../lib/hashChain.js';
+
+const SEED = 'product-hash';
+
+// Build a linked chain from step contents
+function buildChain(steps) {
+    let previousHash = SEED;
+    return steps.map(step => {
+        const linked = { ...step, previousHash };
+        linked.hash = computeStepHash(linked, previousHash);
+        previousHash = linked.hash;
+        return linked;
+    });
+}
+
+const chain = () => buildChain([
+    {
+        stage: 'manufactured',
+        location: 'Lagos',
+        timestamp: '2024-01-01T00:00:00Z',
+        recordedBy: { uid: 'u1' },
+        recordedAt: '2024-01-01T00:00:00Z',
+        attestation: { party: 'owner' }
+    },
+    {
+        stage: 'shipped',
+        location: 'Accra',
+        timestamp: '2024-01-02T00:00:00Z',
+        recordedBy: { uid: 'u1' },
+        recordedAt: '2024-01-02T00:00:00Z',
+        attestation: { party: 'owner' },
+        geo: { type: 'Point', coordinates: [-0.2, 5.6] },
+        eventId: 'urn:event:1'
+    }
+]);
+
+test('an untouched chain verifies and reports its head', () => {
+    const steps = chain();
+    const result = verifyHashChain(SEED, steps);
+    assert.equal(result.valid, true);
+    assert.equal(result.length, 2);
+    assert.equal(result.headHash, steps[1].hash);
+});
+
+test('an empty chain is valid with the seed as head', () => {
+    assert.deepEqual(verifyHashChain(SEED, []), { valid: true, length: 0, brokenAt: null, headHash: SEED });
+});
+
+test('editing a hashed field breaks the chain at that step', () => {
+    for (const edit of [
+        step => { step.location = 'Elsewhere'; },
+        step => { step.attestation = { party: 'admin' }; },
+        step => { step.geo = { type: 'Point', coordinates: [0, 0] }; },
+        step => { step.eventId = 'urn:event:2'; }
+    ]) {
+        const steps = chain();
+        edit(steps[1]);
+        const result = verifyHashChain(SEED, steps);
+        assert.equal(result.valid, false);
+        assert.equal(result.brokenAt, 1);
+        assert.equal(result.reason, 'hash_mismatch');
+    }
+});
+
+test('removing a step is detected as a previous hash mismatch', () => {
+    const steps = chain();
+    const result = verifyHashChain(SEED, [steps[1]]);
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAt, 0);
+    assert.equal(result.reason, 'previous_hash_mismatch');
+});
+
+test('a step without a hash is reported as missing', () => {
+    const steps = chain();
+    delete steps[0].hash;
+    assert.equal(verifyHashChain(SEED, steps).reason, 'missing_hash');
+});
+
+test('steps recorded before attestation, geo and event IDs keep their original form', () => {
+    const step = {
+        stage: 'manufactured',
+        timestamp: '2024-01-01T00:00:00Z',
+        recordedBy: { uid: 'u1' },
+        recordedAt: '2024-01-01T00:00:00Z'
+    };
+    assert.equal(
+        canonicalizeStep(step),
+        JSON.stringify(['manufactured', null, null, null, '2024-01-01T00:00:00.000Z', 'u1', '2024-01-01T00:00:00.000Z'])
+    );
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { can, canRecordStage, ROLES, ROLE_PERMISSIONS } from '../lib/permissions.js';
+
+const user = { uid: 'u1', role: 'user' };
+
+test('anonymous callers can do nothing', () => {
+    assert.equal(can(null, 'products:create'), false);
+    assert.equal(can(undefined, 'payments:read', { ownerId: 'u1' }), false);
+});
+
+test('users act on their own resources only', () => {
+    assert.equal(can(user, 'products:update', { ownerId: 'u1' }), true);
+    assert.equal(can(user, 'products:update', { ownerId: 'u2' }), false);
+    assert.equal(can(user, 'products:create'), true);
+});
+
+test('a resource without an owner is not owned by anyone', () => {
+    assert.equal(can(user, 'products:update', { ownerId: null }), false);
+    assert.equal(can(user, 'payments:update', {}), false);
+});
+
+test('actions a role does not list are denied', () => {
+    assert.equal(can(user, 'users:manage-roles'), false);
+    assert.equal(can(user, 'users:manage-organizations'), false);
+});
+
+test('auditors read any payment but only update their own products', () => {
+    const auditor = { uid: 'a1', role: 'auditor' };
+    assert.equal(can(auditor, 'payments:read', { ownerId: 'u1' }), true);
+    assert.equal(can(auditor, 'products:export', { ownerId: 'u1' }), true);
+    assert.equal(can(auditor, 'products:update', { ownerId: 'u1' }), false);
+});
+
+test('admins can do anything', () => {
+    const admin = { uid: 'x', role: 'admin' };
+    assert.equal(can(admin, 'products:delete', { ownerId: 'u1' }), true);
+    assert.equal(can(admin, 'users:manage-roles'), true);
+});
+
+test('unknown roles fall back to user permissions', () => {
+    const stranger = { uid: 'u1', role: 'superuser' };
+    assert.equal(can(stranger, 'products:update', { ownerId: 'u1' }), true);
+    assert.equal(can(stranger, 'users:manage-roles'), false);
+});
+
+test('API keys are limited to their scopes', () => {
+    const readOnly = { ...user, scopes: ['products:read', 'payments:read'] };
+    assert.equal(can(readOnly, 'payments:read', { ownerId: 'u1' }), true);
+    assert.equal(can(readOnly, 'products:update', { ownerId: 'u1' }), false);
+    assert.equal(can(readOnly, 'products:transfer'), false);
+
+    const writer = { ...user, scopes: ['products:write'] };
+    assert.equal(can(writer, 'products:update', { ownerId: 'u1' }), true);
+    assert.equal(can(writer, 'products:update', { ownerId: 'u2' }), false);
+});
+
+test('API keys cannot perform actions that have no scope', () => {
+    const admin = { uid: 'x', role: 'admin', scopes: ['products:write', 'payments:write'] };
+    assert.equal(can(admin, 'users:manage-roles'), false);
+});
+
+test('every role has a permission table', () => {
+    for (const role of ROLES) {
+        assert.ok(ROLE_PERMISSIONS[role], role);
+    }
+});
+
+test('logistics accounts cannot register or delete products', () => {
+    const carrier = { uid: 'l1', role: 'logistics' };
+    assert.equal(can(carrier, 'products:create'), false);
+    assert.equal(can(carrier, 'products:delete', { ownerId: 'l1' }), false);
+    assert.equal(can(carrier, 'supplyChain:append', { ownerId: 'l1' }), true);
+});
+
+test('producer and logistics roles record only their stages', () => {
+    const producer = { uid: 'p1', role: 'producer' };
+    const carrier = { uid: 'l1', role: 'logistics' };
+    assert.equal(canRecordStage(producer, 'manufactured'), true);
+    assert.equal(canRecordStage(producer, 'delivered'), false);
+    assert.equal(canRecordStage(carrier, 'in_transit'), true);
+    assert.equal(canRecordStage(carrier, 'manufactured'), false);
+    for (const role of ['user', 'auditor', 'admin']) {
+        assert.equal(canRecordStage({ role }, 'delivered'), true, role);
+    }
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+
+// The verification URL is read when the module loads
+process.env.VERIFY_BASE_URL = 'https://trace.example/verify/';
+const { buildVerificationUrl, parseQRSize, QR_DEFAULT_SIZE, QR_MIN_SIZE, QR_MAX_SIZE } = await import('../lib/qrcode.js');
+
+test('verification URLs encode the hash under the configured page', () => {
+    assert.equal(buildVerificationUrl('PT-1/a b'), 'https://trace.example/verify/PT-1%2Fa%20b');
+});
+
+test('QR sizes default and clamp to the supported range', () => {
+    assert.equal(parseQRSize(undefined), QR_DEFAULT_SIZE);
+    assert.equal(parseQRSize('abc'), QR_DEFAULT_SIZE);
+    assert.equal(parseQRSize('10'), QR_MIN_SIZE);
+    assert.equal(parseQRSize(99999), QR_MAX_SIZE);
+});
+
+test('without VERIFY_BASE_URL no label URL is built', () => {
+    const script = `
+        const { buildVerificationUrl } = await import(${JSON.stringify(new URL('../lib/qrcode.js', import.meta.url).href)});
+        try { buildVerificationUrl('x'); console.log('ok'); } catch (error) { console.log(error.code + ':' + error.status); }
+    `;
+    const { VERIFY_BASE_URL, ...env } = process.env;
+    const output = execFileSync(process.execPath, ['--input-type=module', '-e', script], { env }).toString().trim();
+    assert.equal(output, 'VERIFY_URL_NOT_CONFIGURED:503');
+});